@@ -8,41 +8,52 @@ $W  = 800       # vnější šířka
 $H  = 2000      # vnější výška
 $D  = 400       # hloubka
 
+# ── Materiál ──────────────────────────
+material dtd "DTD 18 mm" thickness $T density 650 modulus 2500
+
 # ── Desky ─────────────────────────────
 board[dn] $W x $T x $D "Dno"
   at 0, 0, 0
+  material dtd
   color #7a4f28
   view ft
 
 board[lt] $T x $H x $D "Levý bok"
   at 0, 0, 0
+  material dtd
   color #9a6235
   view sf
 
 board[rt] $T x $H x $D "Pravý bok"
   at {lt.right}+$W, 0, 0
+  material dtd
   color #9a6235
   view sf
 
 board[tp] $W+{lt.w} x $T x $D "Strop"
   at {lt.x}, {lt.top}-$T, 0
+  material dtd
   color #7a4f28
   view ft
 
 board[bk] {lt.right}+$W x $H x $T "Záda"
   at {lt.x}, {lt.y}, $D-$T
+  material dtd
   color #5c3a1e
 
 board[p1] $W x $T x $D-$T "Police 1"
   at {lt.right}, {dn.top}+380, {dn.z}
+  material dtd
   view ft
 
 board[p2] $W x $T x $D-$T "Police 2"
   at {p1.x}, {p1.top}+380, {p1.z}
+  material dtd
   view ft
 
 board[p3] $W x $T x $D-$T "Police 3"
   at {p2.x}, {p2.top}+380, {p2.z}
+  material dtd
   view ft`;
 
 // ═══════════════════════════════════════════════════════
@@ -108,31 +119,19 @@ $MY = ($ZF+$ZB)/2                          # strop – Y v polovině spádu (164
 $CHALF = LEN(0, $ZF, $LX/2, $MY)           # délka poloviny stropního spádu (~998 mm)
 
 group "Patky"
-# 1. Betonové patky
-board[f1] 200 x 250 x 200 "Patka F1"
-  at -100, -250, -100
-  view fs
-  color #9a9a9a
-board[f2] 200 x 250 x 200 "Patka F2"
-  at -100, -250, 1150
-  view fs
-  color #9a9a9a
-board[f3] 200 x 250 x 200 "Patka F3"
-  at -100, -250, 2400
-  view fs
-  color #9a9a9a
-board[f4] 200 x 250 x 200 "Patka F4"
-  at 1775, -250, -100
-  view fs
-  color #9a9a9a
-board[f5] 200 x 250 x 200 "Patka F5"
-  at 1775, -250, 1150
-  view fs
-  color #9a9a9a
-board[f6] 200 x 250 x 200 "Patka F6"
-  at 1775, -250, 2400
-  view fs
-  color #9a9a9a
+# 1. Betonové patky – přední řada F1–F3, zadní řada F4–F6
+repeat $i = 1..3 {
+  board[f{i}] 200 x 250 x 200 "Patka F{i}"
+    at -100, -250, -100+($i-1)*1250
+    view fs
+    color #9a9a9a
+}
+repeat $i = 4..6 {
+  board[f{i}] 200 x 250 x 200 "Patka F{i}"
+    at 1775, -250, -100+($i-4)*1250
+    view fs
+    color #9a9a9a
+}
 
 group "Rám"
 # 2. Podlahový rám – hranoly 60×100 mm
@@ -809,68 +808,697 @@ const AUTO_COLORS = [
   '#7a6050','#d4a080','#b09070','#9a7055',
 ];
 
+// Lines that always start a new statement (never a board continuation)
+// material ID "name" is a statement; a bare material ID continues a board
+const STATEMENT_RE = /^(board\b|beam\b|material\s+[\w-]+\s+"|hardware\b|fastener\b|joint\b|group\b|repeat\b|for\b|if\b|else\b|component\b|use\b|include\b|units\b|\$|\})/i;
+const REPEAT_LIMIT = 1000;
+const ID_TEMPLATE_RE = /^(?:board|beam)\[([^\]]*)\]/i;   // bracketed id at the start of a board or beam line
+// Board properties that are coordinates, by axis
+const REF_AXES = { x: 0, right: 0, cx: 0, x2: 0, y: 1, top: 1, cy: 1, y2: 1, z: 2, back: 2, cz: 2, z2: 2 };
+// Order-independent board keywords after the position (each takes the text up to the next one)
+const BOARD_KEYWORDS = ['cut', 'view', 'color', 'rotate', 'material', 'hole', 'shape', 'notch', 'lap', 'edge', 'grain', 'density', 'load'];
+const MATERIAL_KEYWORDS = ['thickness', 'sheet', 'color', 'density', 'modulus', 'price', 'grain', 'kerf', 'trim', 'stock', 'waste'];
+// Price units: per m², per whole sheet, per running metre, per piece
+const PRICE_UNITS = { m2: 'm2', 'm²': 'm2', sheet: 'sheet', m: 'm', pc: 'pc', ks: 'pc' };
+// Machining of a board: notch/lap keywords and joint statements
+const OPERATION_LABELS = { notch: 'Zářez', lap: 'Přeplátování', dado: 'Příčná drážka', groove: 'Drážka', rabbet: 'Polodrážka' };
+const JOINT_TYPES = ['dado', 'groove', 'rabbet'];
+// Joints of the contact graph: how the touching faces meet, or the machining between the boards
+const CONTACT_TYPES = ['face', 'edge', 'butt', 'notch', 'lap', ...JOINT_TYPES];
+const CONTACT_LABELS = { face: 'Plocha na plochu', edge: 'Hrana na plochu', butt: 'Hrana na hranu', ...OPERATION_LABELS };
+
+// Millimetres per unit (units directive, unit-suffixed literals, display units)
+const UNITS = { mm: 1, cm: 10, m: 1000, in: 25.4, ft: 304.8 };
+
+// Expression functions: NAME → [min args, max args, fn]; angles are in degrees
+const DEG = Math.PI / 180;
+const snap = (round) => (v, step = 1) => {
+  if (step <= 0) throw new Error('Krok zaokrouhlení musí být kladný');
+  return round(v / step) * step;
+};
+const MATH_FUNCS = {
+  MIN:   [1, Infinity, (...a) => Math.min(...a)],
+  MAX:   [1, Infinity, (...a) => Math.max(...a)],
+  ABS:   [1, 1, Math.abs],
+  ROUND: [1, 2, snap(Math.round)],
+  FLOOR: [1, 2, snap(Math.floor)],
+  CEIL:  [1, 2, snap(Math.ceil)],
+  SQRT:  [1, 1, v => {
+    if (v < 0) throw new Error(`SQRT záporného čísla (${v})`);
+    return Math.sqrt(v);
+  }],
+  SIN:   [1, 1, d => Math.sin(d * DEG)],
+  COS:   [1, 1, d => Math.cos(d * DEG)],
+  TAN:   [1, 1, d => Math.tan(d * DEG)],
+  ATAN2: [2, 2, (y, x) => Math.atan2(y, x) / DEG],
+  PI:    [0, 0, () => Math.PI],
+  // LEN(x1,y1,x2,y2) or LEN(x1,y1,z1,x2,y2,z2) — Euclidean distance
+  LEN:   [4, 6, (...a) => {
+    if (a.length === 5) throw new Error('LEN očekává 4 (2D) nebo 6 (3D) argumentů');
+    const n = a.length / 2;
+    return Math.sqrt(a.slice(0, n).reduce((s, v, k) => s + (a[n + k] - v) ** 2, 0));
+  }],
+  // LERP(a, b, t) — a for t = 0, b for t = 1
+  LERP:  [3, 3, (a, b, t) => a + (b - a) * t],
+};
+
+// ═══════════════════════════════════════════════════════
+//  EXPRESSIONS
+// ═══════════════════════════════════════════════════════
+// Tokenizer + recursive-descent parser compiling an expression to a closure
+// (parser) => number. Compiled expressions are cached by their source text.
+
+// Error inside an expression; col is the 0-based offset of the failing token
+class ExprError extends Error {
+  constructor(message, col) {
+    super(message);
+    this.col = col;
+  }
+}
+
+// Length literals: 80cm, 1.2m, 3/4in, 5 1/2", 2'6", 2'6 1/2"
+const LIT_NUM = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d*)?|\\.\\d+)';
+const UNIT_LIT_RE = new RegExp(`^${LIT_NUM}(mm|cm|m|in|ft|"|')(?![\\w'"])`);
+const FT_IN_RE = new RegExp(`^${LIT_NUM}'${LIT_NUM}"`);
+const UNIT_ALIASES = { '"': 'in', "'": 'ft' };
+
+function literalValue(text, col) {
+  const [whole, frac] = text.includes('/') ? (text.includes(' ') ? text.split(/\s+/) : ['0', text]) : [text, null];
+  if (!frac) return parseFloat(whole);
+  const [num, den] = frac.split('/').map(Number);
+  if (den === 0) throw new ExprError('Neplatný výraz: zlomek se jmenovatelem 0', col);
+  return Number(whole) + num / den;
+}
+
+const EXPR_OPS = ['**', '<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '^', '(', ')', ',', '?', ':', '<', '>', '!'];
+const EXPR_CACHE = new Map();
+const EXPR_CACHE_LIMIT = 5000;
+
+function tokenizeExpr(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === ' ' || ch === '\t') { i++; continue; }
+    const col = i;
+    let m;
+    const rest = src.slice(i);
+    if ((m = rest.match(FT_IN_RE))) {
+      tokens.push({ t: 'num', v: literalValue(m[1], col) * UNITS.ft + literalValue(m[2], col) * UNITS.in, unit: true, col });
+    } else if ((m = rest.match(UNIT_LIT_RE))) {
+      tokens.push({ t: 'num', v: literalValue(m[1], col) * UNITS[UNIT_ALIASES[m[2]] || m[2]], unit: true, col });
+    } else if ((m = rest.match(/^(\d+(\.\d*)?|\.\d+)/))) {
+      tokens.push({ t: 'num', v: parseFloat(m[0]), col });
+    } else if ((m = rest.match(/^\$([a-zA-Z_]\w*)/))) {
+      tokens.push({ t: 'var', v: m[1], col });
+    } else if (ch === '{') {
+      m = rest.match(/^\{\s*([a-zA-Z_][\w.]*)\.([a-zA-Z0-9]+)\s*\}/);
+      if (!m) throw new ExprError('Neplatný výraz: odkaz musí mít tvar {id.vlastnost}', col);
+      tokens.push({ t: 'ref', id: m[1], prop: m[2], col });
+    } else if ((m = rest.match(/^[a-zA-Z_]\w*/))) {
+      tokens.push({ t: 'name', v: m[0], col });
+    } else {
+      const op = EXPR_OPS.find(o => rest.startsWith(o));
+      if (!op) {
+        const hint = ch === '=' ? ' (pro porovnání použijte ==)' : '';
+        throw new ExprError(`Neplatný výraz: neočekávaný znak "${ch}"${hint}`, col);
+      }
+      tokens.push({ t: 'op', v: op === '**' ? '^' : op, col });
+      m = [op];
+    }
+    i += m[0].length;
+  }
+  tokens.push({ t: 'end', col: src.length });
+  return tokens;
+}
+
+// && || and / are compiled separately (short-circuit, division by zero)
+const BINARY = {
+  '==': (a, b) => a === b ? 1 : 0, '!=': (a, b) => a !== b ? 1 : 0,
+  '<': (a, b) => a < b ? 1 : 0, '<=': (a, b) => a <= b ? 1 : 0,
+  '>': (a, b) => a > b ? 1 : 0, '>=': (a, b) => a >= b ? 1 : 0,
+  '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b,
+};
+// Binary precedence levels, lowest first
+const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/']];
+
+function compileExpr(src) {
+  const tokens = tokenizeExpr(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek().t === 'op' && peek().v === v;
+  const expect = (v, what) => {
+    if (!isOp(v)) throw new ExprError(`Neplatný výraz: očekáváno "${v}"${what ? ' ' + what : ''}`, peek().col);
+    pos++;
+  };
+
+  // cond ? a : b  (right-associative)
+  function parseTernary() {
+    const c = parseBinary(0);
+    if (!isOp('?')) return c;
+    pos++;
+    const a = parseTernary();
+    expect(':', 'v podmínce ?:');
+    const b = parseTernary();
+    return p => c(p) !== 0 ? a(p) : b(p);
+  }
+
+  function parseBinary(level) {
+    if (level === LEVELS.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek().t === 'op' && LEVELS[level].includes(peek().v)) {
+      const { v: op, col } = tokens[pos++];
+      const l = left, r = parseBinary(level + 1);
+      if (op === '&&') left = p => l(p) !== 0 && r(p) !== 0 ? 1 : 0;
+      else if (op === '||') left = p => l(p) !== 0 || r(p) !== 0 ? 1 : 0;
+      else if (op === '/') left = p => {
+        const d = r(p);
+        if (d === 0) throw new ExprError('Dělení nulou', col);
+        return l(p) / d;
+      };
+      else { const f = BINARY[op]; left = p => f(l(p), r(p)); }
+    }
+    return left;
+  }
+
+  // -a, +a, !a — bind looser than ^ so that -2^2 = -4
+  function parseUnary() {
+    if (isOp('-')) { pos++; const a = parseUnary(); return p => -a(p); }
+    if (isOp('+')) { pos++; return parseUnary(); }
+    if (isOp('!')) { pos++; const a = parseUnary(); return p => a(p) === 0 ? 1 : 0; }
+    return parsePower();
+  }
+
+  // a ^ b  (right-associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (!isOp('^')) return base;
+    const { col } = tokens[pos++];
+    const exp = parseUnary();
+    return p => {
+      const r = base(p) ** exp(p);
+      if (!isFinite(r)) throw new ExprError('Výsledek mocniny není číslo', col);
+      return r;
+    };
+  }
+
+  function parsePrimary() {
+    const tok = tokens[pos++];
+    if (tok.t === 'num') {
+      const v = tok.v;
+      return tok.unit ? p => v / p.scale : () => v; // unit literals are converted to document units
+    }
+    if (tok.t === 'var') {
+      const { v: name, col } = tok;
+      return p => {
+        const v = p.vars[name];
+        if (v === undefined) throw new ExprError(`Neznámá proměnná $${name}`, col);
+        return v;
+      };
+    }
+    if (tok.t === 'ref') {
+      const { id, prop, col } = tok;
+      return p => {
+        try { return p.ref(id, prop); }
+        catch(e) { throw new ExprError(e.message, col); }
+      };
+    }
+    if (tok.t === 'name') return parseCall(tok);
+    if (tok.t === 'op' && tok.v === '(') {
+      const inner = parseTernary();
+      expect(')', 'k uzavření závorky');
+      return inner;
+    }
+    if (tok.t === 'end') throw new ExprError('Neplatný výraz: neočekávaný konec', tok.col);
+    throw new ExprError(`Neplatný výraz: neočekávaný "${tok.v}"`, tok.col);
+  }
+
+  // NAME(args) or a constant (PI)
+  function parseCall(tok) {
+    const name = tok.v.toUpperCase();
+    const f = MATH_FUNCS[name];
+    if (!isOp('(')) {
+      if (f && f[1] === 0) { const v = f[2](); return () => v; }
+      throw new ExprError(`Neplatný výraz: neznámý název "${tok.v}"`, tok.col);
+    }
+    if (!f) throw new ExprError(`Neznámá funkce ${tok.v}()`, tok.col);
+    pos++;
+    const args = [];
+    if (!isOp(')')) {
+      args.push(parseTernary());
+      while (isOp(',')) { pos++; args.push(parseTernary()); }
+    }
+    if (peek().t === 'end') throw new ExprError(`Neuzavřená závorka u ${tok.v}(`, tok.col);
+    expect(')', `za argumenty ${name}`);
+    const [min, max, fn] = f;
+    if (args.length < min || args.length > max) {
+      const range = min === max ? min : max === Infinity ? `alespoň ${min}` : `${min}–${max}`;
+      throw new ExprError(`Funkce ${name}: počet argumentů ${range}, předáno ${args.length}`, tok.col);
+    }
+    return p => {
+      let r;
+      try { r = fn(...args.map(a => a(p))); }
+      catch(e) { throw e instanceof ExprError ? e : new ExprError(e.message, tok.col); }
+      if (!isFinite(r)) throw new ExprError(`Funkce ${name} nevrátila číslo`, tok.col);
+      return r;
+    };
+  }
+
+  const fn = parseTernary();
+  if (peek().t !== 'end') throw new ExprError(`Neplatný výraz: neočekávaný "${peek().v ?? src.slice(peek().col)}"`, peek().col);
+  return fn;
+}
+
+// Compiled expression for src (cached); parse errors are cached too
+function getExpr(src) {
+  let entry = EXPR_CACHE.get(src);
+  if (!entry) {
+    try { entry = { fn: compileExpr(src) }; }
+    catch(e) { if (!(e instanceof ExprError)) throw e; entry = { error: e }; }
+    if (EXPR_CACHE.size >= EXPR_CACHE_LIMIT) EXPR_CACHE.clear();
+    EXPR_CACHE.set(src, entry);
+  }
+  if (entry.error) throw entry.error;
+  return entry.fn;
+}
+
+// Resolve an include path against the directory of the including file ("lib/a.dm" + "../b.dm" → "b.dm")
+function joinPath(from, path) {
+  const parts = path.startsWith('/') ? [] : (from || '').split('/').slice(0, -1);
+  for (const p of path.split('/')) {
+    if (p === '..') parts.pop();
+    else if (p && p !== '.') parts.push(p);
+  }
+  return parts.join('/');
+}
+
+// Replace {i}, {i+1}, {i-1} with the loop index value (ids, names, references)
+function interpolateIndex(text, name, value) {
+  const re = new RegExp('\\{\\s*' + name + '\\s*(?:([+-])\\s*(\\d+(?:\\.\\d+)?))?\\s*\\}', 'g');
+  return text.replace(re, (_, op, n) => {
+    if (!op) return String(value);
+    return String(op === '+' ? value + Number(n) : value - Number(n));
+  });
+}
+
 class DSLParser {
-  constructor(text) {
+  // options.resolve(path) → file text or null (include resolver), options.file: name of the main file
+  constructor(text, options = {}) {
     this.text = text;
-    this.vars = {};
+    this.resolve = options.resolve || null;
+    this.mainFile = options.file || null;
+    this.file = null;          // file of the current statement (null = main file)
+    this.includeStack = [];
+    this.included = new Set();
+    this.vars = Object.create(null);   // scopes chain by prototype; no Object.prototype names
     this.boards = [];
     this.errors = [];
     this.reg = {};
     this.varCount = 0;
     this.currentGroup = null;
+    this.components = {};
+    this.prefix = '';          // id prefix inside a component instance ("c1.")
+    this.instanceGroup = null; // group of the outermost instance being expanded
+    this.useStack = [];
+    this.origins = [];         // { prefix, origin } of the instances being expanded, outermost first
+    this.excluded = {};        // board id → { line, file } of the condition that skipped it
+    this.units = 'mm';         // document units of plain numbers (units directive)
+    this.scale = 1;            // millimetres per document unit
+    this.defined = false;      // a variable or board was defined (units must precede)
+    this.materials = {};       // material id → declaration
+    this.notchQueue = [];      // notch/lap requests, cut once all boards are placed
+    this.jointQueue = [];      // joint statements, applied after the notches
+    this.hardware = [];        // hardware statements: { name, qty, price, group }
+    this.fasteners = [];       // fastener rules: { types, name, every | qty, min, price }
+    this.groupLoads = {};      // group name → default load of its boards (kg)
   }
 
   parse() {
-    // Pre-process: join indented continuation lines to previous board line
-    const rawLines = this.text.split('\n');
-    const lines = [];
-    const lineNums = [];
+    this.run(this.statements(this.text));
+    this.cutNotches();
+    this.applyJoints();
+    const groupMap = new Map();
+    for (const b of this.boards) {
+      const g = b.group || null;
+      if (!groupMap.has(g)) groupMap.set(g, []);
+      groupMap.get(g).push(b.id);
+    }
+    const groups = [...groupMap.entries()].map(([name, ids]) =>
+      (name !== null && this.groupLoads[name] ? { name, boards: ids, load: this.groupLoads[name] } : { name, boards: ids }));
+    return { boards: this.boards, errors: this.errors, varCount: this.varCount, groups, units: this.units,
+             materials: this.materials, hardware: this.hardware, fasteners: this.fasteners };
+  }
+
+  // Location prefix for errors; statements of included files report their own file
+  at(ln) {
+    return this.file ? `Soubor ${this.file}, řádek ${ln}` : `Řádek ${ln}`;
+  }
+
+  // Pre-process: join indented continuation lines to previous board line
+  statements(text, file = null) {
+    const rawLines = text.split('\n');
+    const stmts = [];
+    // segs map offsets of the joined statement text back to source lines (error columns)
     for (let i = 0; i < rawLines.length; i++) {
       const raw = rawLines[i];
       const trimmed = raw.trim();
       if (/^[ \t]+/.test(raw) && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')
-          && lines.length > 0 && /^board/i.test(lines[lines.length - 1].trim())) {
-        lines[lines.length - 1] += ' ' + trimmed;
+          && !STATEMENT_RE.test(trimmed)
+          && stmts.length > 0 && /^(board|beam|material)\b/i.test(stmts[stmts.length - 1].text.trim())) {
+        const st = stmts[stmts.length - 1];
+        st.segs.push({ at: st.text.length + 1, ln: i + 1, indent: raw.length - raw.trimStart().length });
+        st.text += ' ' + trimmed;
       } else {
-        lines.push(raw);
-        lineNums.push(i + 1);
+        stmts.push({ text: raw, ln: i + 1, file, segs: [{ at: 0, ln: i + 1, indent: 0 }] });
       }
     }
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    return stmts;
+  }
+
+  run(stmts) {
+    const outerFile = this.file, outerStmt = this.stmt;
+    for (let i = 0; i < stmts.length; i++) {
+      const { text, ln, src, file } = stmts[i];
+      const line = text.trim();
       if (!line || line.startsWith('#') || line.startsWith('//')) continue;
-      if (line.startsWith('$')) { this.parseVar(line, lineNums[i]); continue; }
-      if (/^group\b/i.test(line)) { this.parseGroup(line, lineNums[i]); continue; }
-      if (/^board/i.test(line))  { this.parseBoard(line, lineNums[i]); continue; }
-      this.errors.push(`Řádek ${lineNums[i]}: neznámý příkaz`);
+      this.file = file || null;
+      this.stmt = stmts[i];
+      if (/^(repeat|for)\b/i.test(line)) { i = this.parseRepeat(stmts, i); continue; }
+      if (/^if\b/i.test(line)) { i = this.parseIf(stmts, i); continue; }
+      if (/^else\b/i.test(line)) { this.errors.push(`${this.at(ln)}: 'else' musí následovat '}' na stejném řádku (} else {)`); continue; }
+      if (/^component\b/i.test(line)) { i = this.parseComponent(stmts, i); continue; }
+      if (/^use\b/i.test(line)) { this.parseUse(line, ln); continue; }
+      if (/^include\b/i.test(line)) { this.parseInclude(line, ln); continue; }
+      if (/^units\b/i.test(line)) { this.parseUnits(line, ln); continue; }
+      if (line.startsWith('$')) { this.defined = true; this.parseVar(line, ln); continue; }
+      if (/^group\b/i.test(line)) { this.parseGroup(line, ln); continue; }
+      if (/^material\b/i.test(line)) { this.parseMaterial(line, ln); continue; }
+      if (/^joint\b/i.test(line)) { this.parseJoint(line, ln); continue; }
+      if (/^hardware\b/i.test(line)) { this.parseHardware(line, ln); continue; }
+      if (/^fastener\b/i.test(line)) { this.parseFastener(line, ln); continue; }
+      if (/^board/i.test(line))  { this.defined = true; this.parseBoard(line, ln, src); continue; }
+      if (/^beam/i.test(line))   { this.defined = true; this.parseBeam(line, ln, src); continue; }
+      if (/^\}/.test(line)) { this.errors.push(`${this.at(ln)}: '}' bez otevřeného bloku`); continue; }
+      this.errors.push(`${this.at(ln)}: neznámý příkaz`);
     }
-    const groupMap = new Map();
-    for (const b of this.boards) {
-      const g = b.group || null;
-      if (!groupMap.has(g)) groupMap.set(g, []);
-      groupMap.get(g).push(b.id);
+    this.file = outerFile;
+    this.stmt = outerStmt;
+  }
+
+  // Index of the statement closing the block opened at stmts[start], or -1
+  blockEnd(stmts, start) {
+    let depth = 0;
+    for (let i = start; i < stmts.length; i++) {
+      const line = stmts[i].text.replace(/\s+#\s.*$/, '').trim();
+      if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+      if (line.startsWith('}')) depth--;
+      if (line.endsWith('{')) depth++;
+      if (depth === 0) return i;
+    }
+    return -1;
+  }
+
+  // repeat $i = A..B [step S] { ... }   /   for $i = A to B [step S] { ... }
+  parseRepeat(stmts, start) {
+    const { text, ln } = stmts[start];
+    const end = this.blockEnd(stmts, start);
+    if (end === -1) { this.errors.push(`${this.at(ln)}: blok repeat není uzavřen '}'`); return stmts.length; }
+    const head = text.replace(/\s+#\s.*$/, '').trim();
+    const m = head.match(/^(?:repeat|for)\s+\$([a-zA-Z_]\w*)\s*=\s*(.+?)\s*(?:\.\.|\bto\b)\s*(.+?)(?:\s+step\s+(.+?))?\s*\{$/i);
+    if (!m) {
+      this.errors.push(`${this.at(ln)}: neplatný repeat (vzor: repeat $i = 1..5 { ... })`);
+      return end;
+    }
+    const name = m[1];
+    let from, to, step, count;
+    try {
+      from = this.eval(m[2]);
+      to = this.eval(m[3]);
+      step = m[4] ? this.eval(m[4]) : (to >= from ? 1 : -1);
+      if (step === 0 || Math.sign(step) !== Math.sign(to - from || step))
+        throw new Error(`Krok ${step} nikdy nedosáhne hodnoty ${to}`);
+      count = Math.floor((to - from) / step + 1e-9) + 1;
+      if (count > REPEAT_LIMIT) throw new Error(`Příliš mnoho opakování (max ${REPEAT_LIMIT})`);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (repeat $${name}): ${e.message}`);
+      return end;
+    }
+
+    const body = stmts.slice(start + 1, end);
+    const had = Object.prototype.hasOwnProperty.call(this.vars, name);
+    const prev = this.vars[name];
+    for (let k = 0; k < count; k++) {
+      const v = Math.round((from + k * step) * 1000) / 1000;
+      const stmts = body.map(s => ({ ...s, text: interpolateIndex(s.text, name, v), src: s.src || s.text }));
+      // {i} in an id must give a valid id: p0.5 or p-1 could not be referenced or edited
+      const bad = stmts.find((s, j) => {
+        const id = s.text.trim().match(ID_TEMPLATE_RE), tpl = body[j].text.trim().match(ID_TEMPLATE_RE);
+        return id && id[1] !== tpl[1] && !id[1].includes('{') && !/^[a-zA-Z_]\w*$/.test(id[1]);
+      });
+      if (bad) {
+        const id = bad.text.trim().match(ID_TEMPLATE_RE)[1];
+        this.errors.push(`${this.at(bad.ln)} (repeat $${name}): ID [${id}] pro $${name} = ${v} není platné, v ID mohou být jen celá nezáporná čísla`);
+        break;
+      }
+      this.vars[name] = v;
+      this.run(stmts);
+    }
+    if (had) this.vars[name] = prev; else delete this.vars[name];
+    return end;
+  }
+
+  // if COND { ... } else if COND { ... } else { ... }
+  parseIf(stmts, start) {
+    const { ln } = stmts[start];
+    const end = this.blockEnd(stmts, start);
+    if (end === -1) { this.errors.push(`${this.at(ln)}: blok if není uzavřen '}'`); return stmts.length; }
+
+    // Split into branches at "} else ... {" lines on the top level of the block
+    const branches = [];
+    let head = stmts[start], from = start + 1, depth = 0;
+    for (let i = start + 1; i <= end; i++) {
+      const line = stmts[i].text.replace(/\s+#\s.*$/, '').trim();
+      if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+      if (line.startsWith('}') && depth === 0) {
+        branches.push({ head, body: stmts.slice(from, i) });
+        head = stmts[i]; from = i + 1;
+        continue;
+      }
+      if (line.startsWith('}')) depth--;
+      if (line.endsWith('{')) depth++;
+    }
+
+    let taken = false;
+    for (const { head, body } of branches) {
+      const text = head.text.replace(/\s+#\s.*$/, '').trim();
+      let cond = true;
+      if (head !== stmts[start] && /^\}\s*else\s*\{$/i.test(text)) {
+        cond = true;
+      } else {
+        const m = head === stmts[start]
+          ? text.match(/^if\s+(.+?)\s*\{$/i)
+          : text.match(/^\}\s*else\s+if\s+(.+?)\s*\{$/i);
+        if (!m) {
+          this.errors.push(`${this.at(head.ln)}: neplatná podmínka (vzor: if $W > 900 { ... } else { ... })`);
+          return end;
+        }
+        if (!taken) {
+          this.stmt = head;
+          try { cond = this.eval(m[1]) !== 0; }
+          catch(e) { this.errors.push(`${this.at(head.ln)} (if): ${e.message}`); return end; }
+        }
+      }
+      if (!taken && cond) { taken = true; this.run(body); }
+      else this.exclude(body, ln);
+    }
+    return end;
+  }
+
+  // Remember boards of a skipped branch so references to them get a clear error
+  exclude(stmts, ln) {
+    for (const { text } of stmts) {
+      const m = text.trim().match(/^(?:board|beam)\s*\[([a-zA-Z_][\w.]*)\]/i);
+      if (m && !this.reg[this.prefix + m[1]]) this.excluded[this.prefix + m[1]] = { line: ln, file: this.file };
+    }
+  }
+
+  // include "lib/plinth.dm" — statements of the file run in place; each file is included once
+  parseInclude(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').match(/^include\s+"([^"]+)"$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatný include (vzor: include "lib/soubor.dm")`); return; }
+    const path = joinPath(this.file || this.mainFile, m[1]);
+    const chain = [this.mainFile || 'hlavní soubor', ...this.includeStack];
+    if (path === this.mainFile || this.includeStack.includes(path)) {
+      this.errors.push(`${this.at(ln)}: cyklický include ${[...chain, path].join(' → ')}`);
+      return;
+    }
+    if (this.included.has(path)) return;
+    const text = this.resolve ? this.resolve(path) : null;
+    if (text == null) { this.errors.push(`${this.at(ln)}: soubor "${path}" nenalezen`); return; }
+    this.included.add(path);
+    this.includeStack.push(path);
+    this.run(this.statements(text, path));
+    this.includeStack.pop();
+  }
+
+  // component "name"($A, $B=10) { ... }
+  parseComponent(stmts, start) {
+    const { text, ln } = stmts[start];
+    const end = this.blockEnd(stmts, start);
+    if (end === -1) { this.errors.push(`${this.at(ln)}: blok component není uzavřen '}'`); return stmts.length; }
+    const head = text.replace(/\s+#\s.*$/, '').trim();
+    const m = head.match(/^component\s+(?:"([a-zA-Z_]\w*)"|([a-zA-Z_]\w*))\s*\((.*)\)\s*\{$/i);
+    if (!m) {
+      this.errors.push(`${this.at(ln)}: neplatná komponenta (vzor: component "název"($A, $B) { ... })`);
+      return end;
+    }
+    const name = m[1] || m[2];
+    const params = [];
+    for (const part of this.splitCoords(m[3])) {
+      if (!part.trim()) continue;
+      const pm = part.trim().match(/^\$([a-zA-Z_]\w*)(?:\s*=\s*(.+))?$/);
+      if (!pm) { this.errors.push(`${this.at(ln)}: neplatný parametr "${part.trim()}" komponenty ${name}`); return end; }
+      params.push({ name: pm[1], def: pm[2] ?? null });
+    }
+    const prev = this.components[name];
+    if (prev && (prev.ln !== ln || prev.file !== this.file)) { this.errors.push(`${this.at(ln)}: duplicitní komponenta ${name}`); return end; }
+    this.components[name] = { name, params, body: stmts.slice(start + 1, end), ln, file: this.file };
+    return end;
+  }
+
+  // use name(args) [at X,Y,Z] [as id]
+  parseUse(line, ln) {
+    const m = line.match(/^use\s+([a-zA-Z_]\w*)\s*\(/i);
+    const open = m ? m[0].length - 1 : -1;
+    const close = m ? this.matchParen(line, open) : -1;
+    if (!m || close === -1) { this.errors.push(`${this.at(ln)}: neplatné použití (vzor: use název(...) at X,Y,Z as id)`); return; }
+    const name = m[1];
+    const comp = this.components[name];
+    if (!comp) { this.errors.push(`${this.at(ln)}: neznámá komponenta ${name}`); return; }
+
+    let rest = line.slice(close + 1).replace(/\s+#\s.*$/, '').trim();
+    let instId = null;
+    const asPos = this.findKeyword(rest, 'as');
+    if (asPos !== -1) {
+      const am = rest.slice(asPos + 2).trim().match(/^([a-zA-Z_]\w*)$/);
+      if (!am) { this.errors.push(`${this.at(ln)}: neplatné ID za 'as'`); return; }
+      instId = am[1];
+      rest = rest.slice(0, asPos).trim();
+    }
+    if (!instId) {
+      let n = 1;
+      while (this.reg[this.prefix + name + n] || this.boards.some(b => b.instance === this.prefix + name + n)) n++;
+      instId = name + n;
+    }
+    const fullId = this.prefix + instId;
+    if (this.reg[fullId] || this.boards.some(b => b.instance === fullId)) {
+      this.errors.push(`${this.at(ln)}: duplicitní ID [${fullId}]`); return;
+    }
+    if (this.useStack.includes(name)) {
+      this.errors.push(`${this.at(ln)}: rekurzivní použití komponenty ${name}`); return;
+    }
+
+    let origin = [0, 0, 0], hasOrigin = false;
+    const local = Object.create(this.vars);
+    try {
+      if (rest) {
+        const am = rest.match(/^at\s+(.+)$/i);
+        if (!am) throw new Error(`Neočekávaný text "${rest}"`);
+        const coords = this.splitCoords(am[1]);
+        if (coords.length !== 3) throw new Error(`Pozice potřebuje 3 hodnoty (X, Y, Z)`);
+        origin = coords.map(c => this.evalLen(c.trim()));
+        hasOrigin = true;
+      }
+      const args = this.splitCoords(line.slice(open + 1, close)).map(a => a.trim());
+      if (args.length === 1 && args[0] === '') args.pop();
+      if (args.length > comp.params.length)
+        throw new Error(`Komponenta ${name} má ${comp.params.length} parametrů, předáno ${args.length}`);
+      comp.params.forEach((p, k) => {
+        if (k < args.length) local[p.name] = this.eval(args[k]);
+        else if (p.def !== null) local[p.name] = this.eval(p.def);
+        else throw new Error(`Chybí parametr $${p.name} komponenty ${name}`);
+      });
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (use ${name}): ${e.message}`);
+      return;
+    }
+
+    const saved = { vars: this.vars, prefix: this.prefix, group: this.currentGroup, instanceGroup: this.instanceGroup };
+    const first = this.boards.length;
+    this.vars = local;
+    this.prefix = fullId + '.';
+    if (!this.instanceGroup) this.instanceGroup = fullId;
+    this.useStack.push(name);
+    this.origins.push({ prefix: this.prefix, origin });
+    this.run(comp.body);
+    this.origins.pop();
+    this.useStack.pop();
+    Object.assign(this, { vars: saved.vars, prefix: saved.prefix, currentGroup: saved.group, instanceGroup: saved.instanceGroup });
+
+    // Component boards are positioned relative to the instance origin
+    const [ox, oy, oz] = origin;
+    for (const b of this.boards.slice(first)) {
+      b.x = (b.x ?? 0) + ox; b.y = (b.y ?? 0) + oy; b.z = (b.z ?? 0) + oz;
+      b.hasPos = b.hasPos || hasOrigin;
+      if (b.fromTo) b.fromTo = { x1: b.fromTo.x1 + ox, y1: b.fromTo.y1 + oy, x2: b.fromTo.x2 + ox, y2: b.fromTo.y2 + oy };
+      if (b.beam) b.beam = { ...b.beam, x1: b.beam.x1 + ox, y1: b.beam.y1 + oy, z1: b.beam.z1 + oz,
+                             x2: b.beam.x2 + ox, y2: b.beam.y2 + oy, z2: b.beam.z2 + oz };
+      if (!b.instance) b.instance = fullId;
+    }
+  }
+
+  // Index of the ')' matching the '(' at str[open], or -1
+  matchParen(str, open) {
+    let depth = 0;
+    for (let i = open; i < str.length; i++) {
+      if (str[i] === '(') depth++;
+      else if (str[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  // Resolve a board id, preferring boards of the enclosing component instances
+  lookup(id, map = this.reg) {
+    const parts = this.prefix ? this.prefix.slice(0, -1).split('.') : [];
+    for (let k = parts.length; k > 0; k--) {
+      const b = map[parts.slice(0, k).join('.') + '.' + id];
+      if (b !== undefined) return b;
+    }
+    return map[id];
+  }
+
+  // units mm|cm|m|in|ft — unit of plain numbers in the whole document
+  parseUnits(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').match(/^units\s+(\w+)$/i);
+    const unit = m && m[1].toLowerCase();
+    if (!m || !UNITS[unit]) {
+      this.errors.push(`${this.at(ln)}: neplatné jednotky (povoleny: ${Object.keys(UNITS).join(', ')})`);
+      return;
     }
-    const groups = [...groupMap.entries()].map(([name, ids]) => ({ name, boards: ids }));
-    return { boards: this.boards, errors: this.errors, varCount: this.varCount, groups };
+    if (this.file || this.defined) {
+      if (unit !== this.units) this.errors.push(`${this.at(ln)}: 'units' musí být na začátku hlavního souboru`);
+      return;
+    }
+    this.units = unit;
+    this.scale = UNITS[unit];
   }
 
   parseVar(line, ln) {
     const m = line.match(/^\$([a-zA-Z_]\w*)\s*=\s*(.+?)(?:\s*#.*)?$/);
-    if (!m) { this.errors.push(`Řádek ${ln}: neplatná definice proměnné`); return; }
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatná definice proměnné`); return; }
     try {
       this.vars[m[1]] = this.eval(m[2].trim());
-      this.varCount++;
-    } catch(e) { this.errors.push(`Řádek ${ln} ($${m[1]}): ${e.message}`); }
+      if (!this.prefix) this.varCount++;
+    } catch(e) { this.errors.push(`${this.at(ln)} ($${m[1]}): ${e.message}`); }
   }
 
-  // Find keyword position respecting brace/paren nesting
+  // Find keyword position respecting brace/paren nesting; $load is a variable, not the keyword
   findKeyword(str, kw) {
-    const re = new RegExp('\\b' + kw + '\\b', 'gi');
-    let m;
+    const re = new RegExp('(?<![$\\w])' + kw + '\\b', 'gi');
+    let m, depth = 0, i = 0;
     while ((m = re.exec(str)) !== null) {
-      const before = str.slice(0, m.index);
-      let depth = 0;
-      for (const ch of before) {
+      for (; i < m.index; i++) {
+        const ch = str[i];
         if (ch === '{' || ch === '(') depth++;
         else if (ch === '}' || ch === ')') depth--;
       }
@@ -879,6 +1507,38 @@ class DSLParser {
     return -1;
   }
 
+  // All nesting-level-0 positions of kw (keywords that may repeat, e.g. hole)
+  findKeywordAll(str, kw) {
+    const re = new RegExp('(?<![$\\w])' + kw + '\\b', 'gi');
+    const found = [];
+    let m, depth = 0, i = 0;
+    while ((m = re.exec(str)) !== null) {
+      for (; i < m.index; i++) {
+        const ch = str[i];
+        if (ch === '{' || ch === '(') depth++;
+        else if (ch === '}' || ch === ')') depth--;
+      }
+      if (depth === 0) found.push(m.index);
+    }
+    return found;
+  }
+
+  // Split "A B" (two expressions separated by whitespace) at the first gap where both sides compile
+  splitPair(str) {
+    const s = str.trim();
+    let depth = 0;
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      if (ch === '{' || ch === '(') depth++;
+      else if (ch === '}' || ch === ')') depth--;
+      else if (depth === 0 && /\s/.test(ch)) {
+        const a = s.slice(0, i).trim(), b = s.slice(i).trim();
+        try { getExpr(a); getExpr(b); return [a, b]; } catch(e) { /* try the next gap */ }
+      }
+    }
+    return null;
+  }
+
   // Find earliest keyword from list, respecting nesting
   findNextKeyword(str, keywords) {
     let best = -1, bestKw = null;
@@ -889,39 +1549,187 @@ class DSLParser {
     return { pos: best, keyword: bestKw };
   }
 
+  // group "name" [load 20kg] — the load is the default for the group's boards
   parseGroup(line, ln) {
-    const m = line.match(/^group\s+"([^"]+)"\s*(?:#.*)?$/i);
-    if (!m) { this.errors.push(`Řádek ${ln}: neplatná skupina (vzor: group "název")`); return; }
+    const m = line.match(/^group\s+"([^"]+)"\s*(?:load\s+(.+?))?\s*(?:#.*)?$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatná skupina (vzor: group "název" [load 20kg])`); return; }
     this.currentGroup = m[1];
+    if (!m[2]) return;
+    try {
+      this.groupLoads[m[1]] = this.parseLoad(m[2]);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (skupina ${m[1]}): ${e.message}`);
+    }
+  }
+
+  // 30kg | 300N | 30 (kg); returns kg
+  parseLoad(val) {
+    const m = val.trim().match(/^(.*?)\s*(kg|n)$/i);
+    const v = this.eval(m ? m[1] : val.trim());
+    const kg = m && m[2].toLowerCase() === 'n' ? v / GRAVITY : v;
+    if (!(kg > 0)) throw new Error(`Zatížení musí být kladné (např. 30kg nebo 300N)`);
+    return Math.round(kg * 1000) / 1000;
+  }
+
+  // material ID "name" [thickness T] [sheet WxH] [color #hex] [density KG/M3] [modulus N/MM2] [price N/m2|sheet|m|pc]
+  //   [grain w|h|d] [kerf K] [trim T] [stock L1, L2, …] [waste %]
+  parseMaterial(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').match(/^material\s+([a-zA-Z_][\w-]*)\s+"([^"]+)"\s*(.*)$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatný materiál (vzor: material id "název" thickness 12)`); return; }
+    const [, id, name, rest] = m;
+    if (this.materials[id]) { this.errors.push(`${this.at(ln)}: duplicitní materiál ${id}`); return; }
+
+    const mat = { id, name, thickness: null, sheet: null, color: null, density: null, modulus: null, price: null,
+                  grain: null, kerf: null, trim: null, stock: null, waste: null };
+    try {
+      // Keywords right after '/' are price units (900/sheet), not clauses
+      const keywordAt = (kw) => {
+        for (let from = 0; ;) {
+          const pos = this.findKeyword(rest.slice(from), kw);
+          if (pos === -1) return -1;
+          if (!/\/\s*$/.test(rest.slice(0, from + pos))) return from + pos;
+          from += pos + kw.length;
+        }
+      };
+      const kwEntries = [];
+      for (const kw of MATERIAL_KEYWORDS) {
+        const pos = keywordAt(kw);
+        if (pos !== -1) kwEntries.push({ kw, pos });
+      }
+      kwEntries.sort((a, b) => a.pos - b.pos);
+      if (rest.trim() && (!kwEntries.length || rest.slice(0, kwEntries[0].pos).trim()))
+        throw new Error(`Neočekávaný text "${rest.slice(0, kwEntries.length ? kwEntries[0].pos : rest.length).trim()}"`);
+      for (let ki = 0; ki < kwEntries.length; ki++) {
+        const { kw, pos } = kwEntries[ki];
+        const valEnd = ki + 1 < kwEntries.length ? kwEntries[ki + 1].pos : rest.length;
+        const val = rest.slice(pos + kw.length, valEnd).trim();
+        switch (kw) {
+          case 'thickness': mat.thickness = this.evalLen(val); break;
+          case 'sheet': {
+            const dims = val.split(/\s*[xXх]\s*(?=[0-9$({])/);
+            if (dims.length !== 2) throw new Error(`'sheet' potřebuje 2 rozměry (Š x V)`);
+            mat.sheet = { w: this.evalLen(dims[0].trim()), h: this.evalLen(dims[1].trim()) };
+            break;
+          }
+          case 'color': {
+            const cm = val.match(/^#[0-9a-fA-F]{3,6}$/);
+            if (!cm) throw new Error(`Neplatná barva "${val}"`);
+            mat.color = val;
+            break;
+          }
+          case 'density': mat.density = this.eval(val); break;
+          case 'modulus':
+            mat.modulus = this.eval(val);
+            if (!(mat.modulus > 0)) throw new Error(`Modul pružnosti musí být kladný (N/mm²)`);
+            break;
+          case 'price': mat.price = this.parsePrice(val); break;
+          case 'grain': mat.grain = this.parseGrain(val); break;
+          case 'kerf':
+          case 'trim': {
+            mat[kw] = this.evalLen(val);
+            if (mat[kw] < 0) throw new Error(`'${kw}' nesmí být záporný`);
+            break;
+          }
+          case 'waste': {
+            mat.waste = this.eval(val.replace(/%$/, ''));
+            if (mat.waste < 0) throw new Error(`'waste' nesmí být záporný`);
+            break;
+          }
+          case 'stock': {
+            mat.stock = this.splitCoords(val).map(s => this.evalLen(s.trim()));
+            if (mat.stock.some(l => !(l > 0))) throw new Error(`Délky v 'stock' musí být kladné`);
+            break;
+          }
+        }
+      }
+      if (mat.price?.unit === 'sheet' && !mat.sheet) throw new Error(`Cena za tabuli potřebuje rozměr 'sheet'`);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (materiál ${id}): ${e.message}`);
+      return;
+    }
+    if (this.file) mat.file = this.file;
+    this.materials[id] = mat;
   }
 
-  parseBoard(line, ln) {
+  // N/m2 | N/sheet | N/m | N/pc
+  parsePrice(val) {
+    const pm = val.match(/^(.+?)\s*\/\s*(\S+)$/);
+    const unit = pm && PRICE_UNITS[pm[2].toLowerCase()];
+    if (!unit) throw new Error(`Cena potřebuje jednotku (např. 350/m2, 900/sheet, 45/m, 12/pc)`);
+    return { value: this.eval(pm[1]), unit };
+  }
+
+  // hardware "name" [qty N] [price N/pc|m] — screws, hinges, paint… counted in the current group
+  parseHardware(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').trim().match(/^hardware\s+"([^"]+)"\s*(?:qty\s+(.+?))?\s*(?:price\s+(.+))?$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatné kování (vzor: hardware "Vrut 5×60" qty 24 price 2/pc)`); return; }
+    try {
+      const qty = m[2] ? this.eval(m[2]) : 1;
+      if (!(qty > 0)) throw new Error(`Počet musí být kladný`);
+      const price = m[3] ? this.parsePrice(m[3]) : null;
+      if (price && !['pc', 'm'].includes(price.unit)) throw new Error(`Kování má cenu za kus nebo metr (/pc, /m)`);
+      this.hardware.push({ name: m[1], qty, price, group: this.instanceGroup || this.currentGroup });
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (${m[1]}): ${e.message}`);
+    }
+  }
+
+  // fastener TYPE[,TYPE] "name" (every L | qty N) [min N] [price N/pc] — pieces per joint of the
+  // contact graph: one per L mm of joint length (at least min, default 1) or a fixed count
+  parseFastener(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').trim()
+      .match(/^fastener\s+([a-z]+(?:\s*,\s*[a-z]+)*)\s+"([^"]+)"\s*(?:(every|qty)\s+(.+?))?\s*(?:min\s+(.+?))?\s*(?:price\s+(.+))?$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatné spojovací pravidlo (vzor: fastener edge "Konfirmát 7×50" every 150 min 2)`); return; }
+    try {
+      const types = m[1].split(',').map(t => t.trim().toLowerCase());
+      const unknown = types.find(t => !CONTACT_TYPES.includes(t));
+      if (unknown) throw new Error(`Neznámý typ spoje '${unknown}' (povoleny: ${CONTACT_TYPES.join(', ')})`);
+      if (!m[3]) throw new Error(`Chybí rozteč (every) nebo počet na spoj (qty)`);
+      const rule = { types, name: m[2] };
+      if (m[3].toLowerCase() === 'every') {
+        rule.every = this.evalLen(m[4]);
+        if (!(rule.every > 0)) throw new Error(`Rozteč musí být kladná`);
+      } else {
+        rule.qty = this.eval(m[4]);
+        if (!(rule.qty > 0)) throw new Error(`Počet musí být kladný`);
+      }
+      if (m[5]) {
+        if (rule.qty) throw new Error(`'min' patří k rozteči (every), ne k pevnému počtu`);
+        rule.min = this.eval(m[5]);
+        if (!(rule.min >= 0)) throw new Error(`Minimum nesmí být záporné`);
+      }
+      rule.price = m[6] ? this.parsePrice(m[6]) : null;
+      if (rule.price && rule.price.unit !== 'pc') throw new Error(`Spojovací prvek má cenu za kus (/pc)`);
+      this.fasteners.push(rule);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (${m[2]}): ${e.message}`);
+    }
+  }
+
+  parseBoard(line, ln, src) {
     // Phase 1: Extract core with simpler regex
     const re = /^board(?:\[([a-zA-Z_]\w*)\])?\s+(.+?)\s+"([^"]+)"\s*(.*?)$/i;
     const m = line.match(re);
-    if (!m) { this.errors.push(`Řádek ${ln}: neplatný board (vzor: board[id] ŠxVxH "název")`); return; }
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatný board (vzor: board[id] ŠxVxH "název")`); return; }
 
-    const id    = m[1] || `b${this.boards.length}`;
+    const id    = this.prefix + (m[1] || `b${this.boards.length}`);
     const dimRaw= m[2].trim();
     const name  = m[3];
     let rest    = m[4] ? m[4].trim() : '';
 
-    if (this.reg[id]) { this.errors.push(`Řádek ${ln}: duplicitní ID [${id}]`); return; }
+    if (this.reg[id]) { this.errors.push(`${this.at(ln)}: duplicitní ID [${id}]`); return; }
 
     try {
       // Split dimensions on 'x' that sits between value-like tokens
       const dims = dimRaw.split(/\s*[xXх]\s*(?=[0-9$({])/);
       if (dims.length !== 3) throw new Error(`Potřebuji 3 rozměry (Š x V x H), dostal jsem ${dims.length}: "${dimRaw}"`);
-      let w = this.eval(dims[0].trim());
-      const h = this.eval(dims[1].trim());
-      const d = this.eval(dims[2].trim());
+      let w = this.evalLen(dims[0].trim());
+      let h = this.evalLen(dims[1].trim());
+      const d = this.evalLen(dims[2].trim());
 
       // Phase 2: Parse rest for keywords
       let x=null, y=null, z=null, hasPos=false;
       let angle=0, fromTo=null;
-      let cuts=null;
-      let view=null;
-      let color=null;
 
       // Strip inline comment: require # preceded by space and followed by space
       // to avoid eating color #hex values like color #7a4f28
@@ -942,7 +1750,7 @@ class DSLParser {
 
         // After 'to', read until next keyword
         const afterTo = afterFrom.slice(toPos + 2).trim();
-        const nextKw = this.findNextKeyword(afterTo, ['z','cut','view','color']);
+        const nextKw = this.findNextKeyword(afterTo, ['z', ...BOARD_KEYWORDS]);
         let toStr, afterToRest;
         if (nextKw.pos !== -1) {
           toStr = afterTo.slice(0, nextKw.pos).trim();
@@ -955,17 +1763,17 @@ class DSLParser {
         const toCoords = this.splitCoords(toStr);
         if (toCoords.length !== 2) throw new Error(`'to' potřebuje 2 hodnoty (X2,Y2)`);
 
-        const x1 = this.eval(fromCoords[0].trim());
-        const y1 = this.eval(fromCoords[1].trim());
-        const x2 = this.eval(toCoords[0].trim());
-        const y2 = this.eval(toCoords[1].trim());
+        const x1 = this.evalLen(fromCoords[0].trim());
+        const y1 = this.evalLen(fromCoords[1].trim());
+        const x2 = this.evalLen(toCoords[0].trim());
+        const y2 = this.evalLen(toCoords[1].trim());
 
         x = x1; y = y1; z = 0; hasPos = true;
         fromTo = { x1, y1, x2, y2 };
         angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
         const actualW = Math.sqrt((x2-x1)**2 + (y2-y1)**2);
         if (Math.abs(w - actualW) > 1) {
-          this.errors.push(`Řádek ${ln} (${name}): Šířka ${w} se liší od vzdálenosti from/to ${Math.round(actualW)}, použita vzdálenost`);
+          this.errors.push(`${this.at(ln)} (${name}): Šířka ${w} se liší od vzdálenosti from/to ${Math.round(actualW)}, použita vzdálenost`);
         }
         w = Math.round(actualW * 1000) / 1000;
 
@@ -975,7 +1783,7 @@ class DSLParser {
         if (zPos !== -1 && rest.slice(0, zPos).trim() === '') {
           // z is at the start of remaining rest
           const afterZ = rest.slice(zPos + 1).trim();
-          const nextKw2 = this.findNextKeyword(afterZ, ['cut','view','color']);
+          const nextKw2 = this.findNextKeyword(afterZ, BOARD_KEYWORDS);
           let zStr;
           if (nextKw2.pos !== -1) {
             zStr = afterZ.slice(0, nextKw2.pos).trim();
@@ -984,11 +1792,11 @@ class DSLParser {
             zStr = afterZ.trim();
             rest = '';
           }
-          z = this.eval(zStr);
+          z = this.evalLen(zStr);
         }
       } else if (atPos !== -1) {
         const afterAt = rest.slice(atPos + 2).trim();
-        const nextKw = this.findNextKeyword(afterAt, ['cut','view','color']);
+        const nextKw = this.findNextKeyword(afterAt, BOARD_KEYWORDS);
         let atStr;
         if (nextKw.pos !== -1) {
           atStr = afterAt.slice(0, nextKw.pos).trim();
@@ -999,144 +1807,475 @@ class DSLParser {
         }
         const coords = this.splitCoords(atStr);
         if (coords.length !== 3) throw new Error(`Pozice potřebuje 3 hodnoty (X, Y, Z)`);
-        x = this.eval(coords[0].trim());
-        y = this.eval(coords[1].trim());
-        z = this.eval(coords[2].trim());
+        x = this.evalLen(coords[0].trim());
+        y = this.evalLen(coords[1].trim());
+        z = this.evalLen(coords[2].trim());
         hasPos = true;
       }
 
-      // 2–4. Cut / View / Color — order-independent extraction
-      const kwEntries = [];
-      for (const kw of ['cut','view','color']) {
-        const pos = this.findKeyword(rest, kw);
-        if (pos !== -1) kwEntries.push({ kw, pos });
+      // 2–5. Cut / View / Color / Rotate — order-independent extraction
+      const { cuts, view, color, rot, material, holes, shape, notches, edges, grain, density, load } = this.boardOptions(rest, w, h, d);
+      if (shape) {
+        // The outline's bounding box defines width and height
+        const sw = Math.max(...shape.map(p => p[0])), sh = Math.max(...shape.map(p => p[1]));
+        if (Math.abs(w - sw) > 1 || Math.abs(h - sh) > 1)
+          this.errors.push(`${this.at(ln)} (${name}): Rozměry ${w} x ${h} se liší od obrysu ${Math.round(sw)} x ${Math.round(sh)}, použit obrys`);
+        w = sw;
+        h = sh;
       }
-      kwEntries.sort((a, b) => a.pos - b.pos);
-      for (let ki = 0; ki < kwEntries.length; ki++) {
-        const { kw, pos } = kwEntries[ki];
-        const valStart = pos + kw.length;
-        const valEnd = ki + 1 < kwEntries.length ? kwEntries[ki + 1].pos : rest.length;
-        const val = rest.slice(valStart, valEnd).trim();
-        switch (kw) {
-          case 'cut': {
-            cuts = { left: null, right: null, top: null, bottom: null };
-            const cutRe = /\b(left|right|top|bottom)\s+([^\s]+)/gi;
-            let cm;
-            while ((cm = cutRe.exec(val)) !== null) {
-              cuts[cm[1].toLowerCase()] = this.eval(cm[2]);
-            }
-            break;
+
+      const board = { id, name, w, h, d, x, y, z, hasPos, color, visible: true,
+                      view, angle, fromTo, cuts, group: this.instanceGroup || this.currentGroup };
+      if (rot) board.rot = rot;
+      if (material) board.material = material;
+      if (holes) board.holes = holes;
+      if (shape) board.shape = shape;
+      if (edges) board.edges = edges;
+      if (grain) board.grain = grain;
+      if (density) board.density = density;
+      if (load) board.load = load;
+      this.queueNotches(board, notches, ln);
+      this.addBoard(board, line, ln, src);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (${name}): ${e.message}`);
+    }
+  }
+
+  addBoard(board, line, ln, src) {
+    // Material thickness must match one of the board dimensions (warning, the board is kept)
+    const mat = board.material && this.materials[board.material];
+    if (mat && mat.thickness !== null && ![board.w, board.h, board.d].some(v => Math.abs(v - mat.thickness) < 0.01))
+      this.errors.push(`${this.at(ln)} (${board.name}): Tloušťka materiálu ${mat.id} (${mat.thickness}) neodpovídá rozměrům ${board.w} x ${board.h} x ${board.d}`);
+    // Boards generated by repeat or component remember their template for source editing
+    // and boards without an id their line
+    const srcM = (src || line).trim().match(/^(?:board|beam)(?:\[([^\]]+)\])?/i);
+    if (srcM && srcM[1] !== board.id) board.src = { id: srcM[1] || '', line: ln };
+    if (this.file) board.file = this.file;
+    this.boards.push(board);
+    this.reg[board.id] = board;
+  }
+
+  // Optional trailing keywords shared by board and beam; keywords lists the ones allowed
+  boardOptions(rest, w, h, d, keywords = BOARD_KEYWORDS) {
+    let cuts=null, view=null, color=null, rot=null, roll=0, material=null, holes=null, shape=null, notches=null, edges=null;
+    let grain=null, density=null, load=null, holeVals=null;
+    const kwEntries = [];
+    for (const kw of keywords) {
+      for (const pos of this.findKeywordAll(rest, kw)) kwEntries.push({ kw, pos });
+    }
+    kwEntries.sort((a, b) => a.pos - b.pos);
+    for (let ki = 0; ki < kwEntries.length; ki++) {
+      const { kw, pos } = kwEntries[ki];
+      const valStart = pos + kw.length;
+      const valEnd = ki + 1 < kwEntries.length ? kwEntries[ki + 1].pos : rest.length;
+      const val = rest.slice(valStart, valEnd).trim();
+      switch (kw) {
+        case 'cut': {
+          cuts = { left: null, right: null, top: null, bottom: null };
+          const cutRe = /\b(left|right|top|bottom)\s+([^\s]+)/gi;
+          let cm;
+          while ((cm = cutRe.exec(val)) !== null) {
+            cuts[cm[1].toLowerCase()] = this.evalLen(cm[2]);
           }
-          case 'view': {
-            const seen = new Set();
-            let validView = '';
-            for (const ch of val.toLowerCase()) {
-              if (!'fst'.includes(ch)) throw new Error(`Neplatný pohled '${ch}', povoleno: f, s, t`);
-              if (!seen.has(ch)) { seen.add(ch); validView += ch; }
-            }
-            if (!validView.length) throw new Error('Prázdný pohled');
-            view = validView;
-            break;
+          break;
+        }
+        case 'view': {
+          const seen = new Set();
+          let validView = '';
+          for (const ch of val.toLowerCase()) {
+            if (!'fst'.includes(ch)) throw new Error(`Neplatný pohled '${ch}', povoleno: f, s, t`);
+            if (!seen.has(ch)) { seen.add(ch); validView += ch; }
           }
-          case 'color': {
-            const colorMatch = val.match(/^(#[0-9a-fA-F]{3,6})/);
-            if (colorMatch) color = colorMatch[1];
-            break;
+          if (!validView.length) throw new Error('Prázdný pohled');
+          view = validView;
+          break;
+        }
+        case 'color': {
+          const colorMatch = val.match(/^(#[0-9a-fA-F]{3,6})/);
+          if (colorMatch) color = colorMatch[1];
+          break;
+        }
+        case 'rotate': {
+          // rotate RX, RY, RZ [pivot center | pivot PX, PY, PZ] — degrees, pivot in board coordinates
+          const pivotPos = this.findKeyword(val, 'pivot');
+          const angles = this.splitCoords(pivotPos === -1 ? val : val.slice(0, pivotPos));
+          if (angles.length !== 3) throw new Error(`'rotate' potřebuje 3 úhly (RX, RY, RZ)`);
+          const [rx, ry, rz] = angles.map(a => this.eval(a.trim()));
+          let pivot = [0, 0, 0];
+          if (pivotPos !== -1) {
+            const pv = val.slice(pivotPos + 5).trim();
+            if (/^center$/i.test(pv)) pivot = [w / 2, h / 2, d / 2];
+            else {
+              const pc = this.splitCoords(pv);
+              if (pc.length !== 3) throw new Error(`'pivot' potřebuje 3 hodnoty (X, Y, Z) nebo center`);
+              pivot = pc.map(c => this.evalLen(c.trim()));
+            }
           }
+          if (rx || ry || rz) rot = { x: rx, y: ry, z: rz, pivot };
+          break;
+        }
+        case 'roll': roll = this.eval(val); break;
+        case 'material': {
+          if (!this.materials[val]) throw new Error(`Neznámý materiál ${val}`);
+          material = val;
+          break;
+        }
+        case 'hole': (holeVals = holeVals || []).push(val); break;
+        case 'shape': shape = this.parseShape(val); break;
+        case 'notch':
+        case 'lap': {
+          // notch [id] | lap with [id] — the target board is resolved like {id.prop} references
+          const nm = val.match(/^(?:with\s+)?\[([^\]]+)\]$/i);
+          if (!nm) throw new Error(`'${kw}' potřebuje ID desky (vzor: ${kw === 'lap' ? 'lap with [id]' : 'notch [id]'})`);
+          (notches = notches || []).push({ target: this.board(nm[1].trim()), lap: kw === 'lap' });
+          break;
         }
+        case 'edge': (edges = edges || []).push(...this.parseEdge(val)); break;
+        case 'grain': grain = this.parseGrain(val); break;
+        case 'density':
+          density = this.eval(val);
+          if (!(density > 0)) throw new Error(`Hustota musí být kladná (kg/m³)`);
+          break;
+        case 'load': load = this.parseLoad(val); break;
       }
-
-      if (!color) color = AUTO_COLORS[this.boards.length % AUTO_COLORS.length];
-
-      const board = { id, name, w, h, d, x, y, z, hasPos, color, visible: true,
-                      view, angle, fromTo, cuts, group: this.currentGroup };
-      this.boards.push(board);
-      this.reg[id] = board;
-    } catch(e) {
-      this.errors.push(`Řádek ${ln} (${name}): ${e.message}`);
     }
+    if (edges) edges = this.edgeSides(edges, [w, h, d], material);
+    if (keywords.includes('grain')) {
+      // The material's grain applies unless it points into the board's thickness
+      const t = 'whd'[this.panelAxis([w, h, d], material)];
+      if (grain === t) throw new Error(`'grain ${grain}' míří do tloušťky desky`);
+      if (!grain && material && this.materials[material].grain !== t) grain = this.materials[material].grain;
+    }
+    if (shape && cuts) throw new Error(`'shape' nelze kombinovat s 'cut'`);
+    // Holes are checked against the shape, which may come later on the line
+    if (holeVals) holes = holeVals.map(v => this.parseHole(v, w, h, shape));
+    if (!color) color = (material && this.materials[material].color) || AUTO_COLORS[this.boards.length % AUTO_COLORS.length];
+    return { cuts, view, color, rot, roll, material, holes, shape, notches, edges, grain, density, load };
   }
 
-  // Split coords: X, Y, Z — but respect nested braces
-  splitCoords(str) {
-    const parts = []; let depth = 0; let cur = '';
-    for (const ch of str) {
-      if (ch === '{' || ch === '(') depth++;
-      else if (ch === '}' || ch === ')') depth--;
-      if (ch === ',' && depth === 0) { parts.push(cur); cur = ''; }
-      else cur += ch;
-    }
-    parts.push(cur);
-    return parts;
+  // grain w|h|d — board dimension the grain (strands) runs along
+  parseGrain(val) {
+    const g = val.trim().toLowerCase();
+    if (!['w', 'h', 'd'].includes(g)) throw new Error(`Neplatný směr vláken '${val.trim()}', povoleno: w, h, d`);
+    return g;
   }
 
-  eval(expr) {
-    // 1. Replace $var
-    let e = String(expr).replace(/\$([a-zA-Z_]\w*)/g, (_, n) => {
-      if (this.vars[n] !== undefined) return this.vars[n];
-      throw new Error(`Neznámá proměnná $${n}`);
-    });
-    // 2. Replace {id.prop}
-    e = e.replace(/\{([a-zA-Z_]\w*)\.([a-zA-Z0-9]+)\}/g, (_, id, prop) => {
-      const b = this.reg[id];
-      if (!b) throw new Error(`Neznámé ID [${id}]`);
-      return this.prop(b, prop, id);
-    });
-    // 3. LEN(x1,y1,x2,y2) -> Euclidean distance
-    e = e.replace(/LEN\(([^,]+),([^,]+),([^,]+),([^)]+)\)/gi, (_, x1, y1, x2, y2) => {
-      const vx1 = this.math(x1), vy1 = this.math(y1);
-      const vx2 = this.math(x2), vy2 = this.math(y2);
-      return Math.sqrt((vx2-vx1)**2 + (vy2-vy1)**2);
-    });
-    // 4. Safe math
-    return this.math(e);
+  panelAxis(size, material) {
+    return thicknessAxis(size, material ? this.materials[material].thickness : null);
+  }
+
+  // edge SIDES T ["name"] — SIDES: top, bottom, left, right, front, back or all
+  parseEdge(val) {
+    const m = val.match(/^([a-z]+(?:\s*,\s*[a-z]+)*)\s+(.+?)(?:\s+"([^"]+)")?$/i);
+    if (!m) throw new Error(`neplatné olepení (vzor: edge top,left 2 "ABS bílá")`);
+    const thickness = this.evalLen(m[2]);
+    if (thickness <= 0) throw new Error(`Tloušťka olepení musí být kladná`);
+    const name = m[3] || 'Hrana';
+    return m[1].split(',').map(s => ({ side: s.trim().toLowerCase(), thickness, name }));
+  }
+
+  // Banded edges run around the panel face (see panelAxis); `along` names the dimension
+  // the edge runs along
+  edgeSides(edges, size, material) {
+    const t = this.panelAxis(size, material);
+    const sides = BOARD_SIDES.filter((_, k) => k !== t).flat();
+    const out = [];
+    for (const e of edges) {
+      for (const side of e.side === 'all' ? sides : [e.side]) {
+        const k = BOARD_SIDES.findIndex(s => s.includes(side));
+        if (k === -1) throw new Error(`Neznámá hrana '${side}' (povoleno: ${sides.join(', ')}, all)`);
+        if (k === t) throw new Error(`'${side}' je plocha desky, ne hrana (povoleno: ${sides.join(', ')}, all)`);
+        if (out.some(o => o.side === side)) throw new Error(`Hrana '${side}' je olepena vícekrát`);
+        out.push({ side, along: 'whd'[3 - k - t], thickness: e.thickness, name: e.name });
+      }
+    }
+    return out;
+  }
+
+  queueNotches(board, notches, ln) {
+    for (const { target, lap } of notches || [])
+      this.notchQueue.push({ board, target, lap, at: `${this.at(ln)} (${board.name})` });
+  }
+
+  // Remove the overlapping volumes; components are already moved into place at this point
+  cutNotches() {
+    for (const { board, target, lap, at } of this.notchQueue) {
+      if (lap) {
+        const boxes = lapBoxes(board, target);
+        if (!boxes) { this.errors.push(`${at}: Deska [${target.id}] se nepřekrývá, přeplátování vynecháno`); continue; }
+        (board.notches = board.notches || []).push({ with: target.id, lap: true, ...boxes[0] });
+        (target.notches = target.notches || []).push({ with: board.id, lap: true, mirror: true, ...boxes[1] });
+      } else {
+        const box = overlapBox(board, target);
+        if (!box) { this.errors.push(`${at}: Deska [${target.id}] se nepřekrývá, zářez vynechán`); continue; }
+        (board.notches = board.notches || []).push({ with: target.id, lap: false, ...box });
+      }
+    }
+  }
+
+  // joint dado|groove|rabbet [a] into [b], [c] depth D — a is let into each receiving board
+  parseJoint(line, ln) {
+    const m = line.replace(/\s+#\s.*$/, '').trim().match(/^joint\s+(\w+)\s+\[([^\]]+)\]\s+into\s+(.+?)\s+depth\s+(.+)$/i);
+    if (!m) { this.errors.push(`${this.at(ln)}: neplatný spoj (vzor: joint dado [id] into [id] depth H)`); return; }
+    const type = m[1].toLowerCase();
+    if (!JOINT_TYPES.includes(type)) {
+      this.errors.push(`${this.at(ln)}: neznámý spoj '${m[1]}' (povoleny: ${JOINT_TYPES.join(', ')})`);
+      return;
+    }
+    try {
+      const board = this.board(m[2].trim());
+      const targets = this.splitCoords(m[3]).map(s => {
+        const t = s.trim().match(/^\[([^\]]+)\]$/);
+        if (!t) throw new Error(`'into' potřebuje ID desek ([id], [id]), dostal jsem "${s.trim()}"`);
+        return this.board(t[1].trim());
+      });
+      const depth = this.evalLen(m[4]);
+      if (depth <= 0) throw new Error(`Hloubka spoje musí být kladná`);
+      for (const target of targets)
+        this.jointQueue.push({ type, board, target, depth, at: `${this.at(ln)} (${board.name})` });
+    } catch(e) {
+      this.errors.push(`${this.at(ln)}: ${e.message}`);
+    }
+  }
+
+  // The inserted board grows by the depth on the touching side (cut size only, its visible
+  // geometry stays); the receiving board gets the pocket as a machining operation
+  applyJoints() {
+    for (const { type, board, target, depth, at } of this.jointQueue) {
+      const side = contactSide(board, target);
+      if (!side) { this.errors.push(`${at}: Deska [${target.id}] se nedotýká, spoj vynechán`); continue; }
+      const pocket = jointPocket(board, target, side, depth);
+      if (!pocket) { this.errors.push(`${at}: Deska [${target.id}] se nedotýká, spoj vynechán`); continue; }
+      if (pocket.reach < depth - 0.01)
+        this.errors.push(`${at}: Hloubka ${depth} přesahuje desku [${target.id}] (${pocket.reach})`);
+      (board.joints = board.joints || []).push({ type, into: target.id, side: side.name, depth });
+      (target.notches = target.notches || []).push({ with: board.id, joint: type, ...pocket.box });
+    }
+  }
+
+  // shape X,Y; X,Y [round R | chamfer C | arc R]; …; [radius R]; [chamfer C]
+  // Returns the flattened outline moved so its bounding box starts at 0,0
+  parseShape(val) {
+    const items = [];
+    let depth = 0, cur = '';
+    for (const ch of val) {
+      if (ch === '{' || ch === '(') depth++;
+      else if (ch === '}' || ch === ')') depth--;
+      if (ch === ';' && depth === 0) { items.push(cur.trim()); cur = ''; }
+      else cur += ch;
+    }
+    items.push(cur.trim());
+
+    const vertices = [];
+    let def = null;
+    for (const item of items.filter(Boolean)) {
+      const g = item.match(/^(radius|chamfer)\s+(.+)$/i);
+      if (g) { def = { type: g[1].toLowerCase() === 'radius' ? 'round' : 'chamfer', size: this.evalLen(g[2]) }; continue; }
+      const mod = this.findNextKeyword(item, ['round', 'chamfer', 'arc']);
+      const coords = this.splitCoords(mod.pos === -1 ? item : item.slice(0, mod.pos));
+      if (coords.length !== 2) throw new Error(`Bod obrysu potřebuje 2 hodnoty (X,Y): "${item}"`);
+      const v = { x: this.evalLen(coords[0].trim()), y: this.evalLen(coords[1].trim()), corner: null, arc: null };
+      if (mod.pos !== -1) {
+        const size = this.evalLen(item.slice(mod.pos + mod.keyword.length).trim());
+        if (mod.keyword === 'arc') v.arc = size;
+        else v.corner = { type: mod.keyword, size };
+      }
+      vertices.push(v);
+    }
+    if (def) for (const v of vertices) if (!v.corner) v.corner = def;
+    const pts = shapeOutline(vertices);
+    const minX = Math.min(...pts.map(p => p[0])), minY = Math.min(...pts.map(p => p[1]));
+    return pts.map(([x, y]) => [x - minX, y - minY]);
+  }
+
+  // hole rect X,Y W,H | hole circle CX,CY R — board face coordinates from the bottom-left corner,
+  // within the W x H face or the board's shape outline
+  parseHole(val, w, h, outline) {
+    const usage = `'hole' potřebuje rect X,Y Š,V nebo circle CX,CY R`;
+    const m = val.match(/^(rect|circle)\s+(.+)$/i);
+    if (!m) throw new Error(usage);
+    const parts = this.splitCoords(m[2]);
+    const rect = m[1].toLowerCase() === 'rect';
+    // The middle part holds two whitespace-separated values: "Y W" or "CY R"
+    const mid = parts.length === (rect ? 3 : 2) ? this.splitPair(parts[1]) : null;
+    if (!mid) throw new Error(usage);
+    const v = [parts[0], ...mid, ...parts.slice(2)].map(e => this.evalLen(e.trim()));
+    const hole = rect ? { type: 'rect', x: v[0], y: v[1], w: v[2], h: v[3] }
+                      : { type: 'circle', cx: v[0], cy: v[1], r: v[2] };
+    const [x0, y0, x1, y1] = rect ? [hole.x, hole.y, hole.x + hole.w, hole.y + hole.h]
+                                  : [hole.cx - hole.r, hole.cy - hole.r, hole.cx + hole.r, hole.cy + hole.r];
+    if ((rect ? hole.w : hole.r) <= 0 || (rect && hole.h <= 0)) throw new Error(`Otvor musí mít kladné rozměry`);
+    if (outline && !holeInOutline(hole, outline)) throw new Error(`Otvor ${m[1]} ${m[2].trim()} přesahuje obrys desky`);
+    if (!outline && (x0 < 0 || y0 < 0 || x1 > w || y1 > h)) throw new Error(`Otvor ${m[1]} ${m[2].trim()} přesahuje desku ${w} x ${h}`);
+    return hole;
+  }
+
+  // beam[id] W x H ["name"] from X1,Y1,Z1 to X2,Y2,Z2 [roll DEG] — length and orientation from the endpoints
+  parseBeam(line, ln, src) {
+    const m = line.match(/^beam(?:\[([a-zA-Z_]\w*)\])?\s+(.*)$/i);
+    const rest0 = m ? m[2].replace(/\s+#\s.*$/, '').trim() : '';
+    const fromPos = m ? this.findKeyword(rest0, 'from') : -1;
+    if (fromPos === -1) {
+      this.errors.push(`${this.at(ln)}: neplatný beam (vzor: beam[id] Š x V from X1,Y1,Z1 to X2,Y2,Z2)`);
+      return;
+    }
+    const id = this.prefix + (m[1] || `b${this.boards.length}`);
+    let head = rest0.slice(0, fromPos).trim();
+    const nm = head.match(/\s*"([^"]+)"$/);
+    const name = nm ? nm[1] : (m[1] || id);
+    if (nm) head = head.slice(0, nm.index).trim();
+
+    if (this.reg[id]) { this.errors.push(`${this.at(ln)}: duplicitní ID [${id}]`); return; }
+
+    try {
+      const dims = head.split(/\s*[xXх]\s*(?=[0-9$({])/);
+      if (dims.length !== 2) throw new Error(`Profil potřebuje 2 rozměry (Š x V), dostal jsem ${dims.length}: "${head}"`);
+      const d = this.evalLen(dims[0].trim());
+      const h = this.evalLen(dims[1].trim());
+
+      const afterFrom = rest0.slice(fromPos + 4);
+      const toPos = this.findKeyword(afterFrom, 'to');
+      if (toPos === -1) throw new Error(`'from' vyžaduje 'to'`);
+      const fromCoords = this.splitCoords(afterFrom.slice(0, toPos).trim());
+      if (fromCoords.length !== 3) throw new Error(`'from' potřebuje 3 hodnoty (X1,Y1,Z1)`);
+      const afterTo = afterFrom.slice(toPos + 2).trim();
+      const keywords = ['roll', ...BOARD_KEYWORDS.filter(kw => !['shape', 'edge', 'grain'].includes(kw))];
+      const nextKw = this.findNextKeyword(afterTo, keywords);
+      const toStr = nextKw.pos !== -1 ? afterTo.slice(0, nextKw.pos) : afterTo;
+      const rest = nextKw.pos !== -1 ? afterTo.slice(nextKw.pos).trim() : '';
+      const toCoords = this.splitCoords(toStr.trim());
+      if (toCoords.length !== 3) throw new Error(`'to' potřebuje 3 hodnoty (X2,Y2,Z2)`);
+
+      const [x1, y1, z1] = fromCoords.map(c => this.evalLen(c.trim()));
+      const [x2, y2, z2] = toCoords.map(c => this.evalLen(c.trim()));
+      const len = Math.round(Math.sqrt((x2-x1)**2 + (y2-y1)**2 + (z2-z1)**2) * 1000) / 1000;
+      if (!len) throw new Error(`Nulová délka (from = to)`);
+
+      const { cuts, view, color, rot, roll, material, holes, notches, density, load } = this.boardOptions(rest, len, h, d, keywords);
+      const board = { id, name, w: len, h, d, x: x1, y: y1, z: z1, hasPos: true, color, visible: true,
+                      view, angle: 0, fromTo: null, cuts, group: this.instanceGroup || this.currentGroup,
+                      beam: { x1, y1, z1, x2, y2, z2, roll } };
+      if (rot) board.rot = rot;
+      if (material) board.material = material;
+      if (holes) board.holes = holes;
+      if (density) board.density = density;
+      if (load) board.load = load;
+      this.queueNotches(board, notches, ln);
+      this.addBoard(board, line, ln, src);
+    } catch(e) {
+      this.errors.push(`${this.at(ln)} (${name}): ${e.message}`);
+    }
+  }
+
+  // Split coords: X, Y, Z — but respect nested braces
+  splitCoords(str) {
+    const parts = []; let depth = 0; let cur = '';
+    for (const ch of str) {
+      if (ch === '{' || ch === '(') depth++;
+      else if (ch === '}' || ch === ')') depth--;
+      if (ch === ',' && depth === 0) { parts.push(cur); cur = ''; }
+      else cur += ch;
+    }
+    parts.push(cur);
+    return parts;
+  }
+
+  eval(expr) {
+    const src = String(expr).trim();
+    try { return this.math(src); }
+    catch(e) {
+      if (!(e instanceof ExprError)) throw e;
+      throw new Error(`${e.message} (${this.column(src, e.col)})`);
+    }
+  }
+
+  // Length expression in document units → millimetres
+  evalLen(expr) {
+    const v = this.eval(expr) * this.scale;
+    return Math.round(v * 1000) / 1000 || 0;
+  }
+
+  // Location of offset col of expression src within the current statement
+  column(src, col) {
+    const st = this.stmt;
+    const at = st && !(st.src && st.src !== st.text) ? st.text.indexOf(src) : -1;
+    if (at === -1) return `pozice ${col + 1} ve výrazu`;
+    const pos = at + col;
+    const seg = st.segs.filter(sg => sg.at <= pos).pop();
+    const c = pos - seg.at + seg.indent + 1;
+    return seg.ln === st.ln ? `sloupec ${c}` : `řádek ${seg.ln}, sloupec ${c}`;
+  }
+
+  // Board by id (component-aware); explains boards skipped by a condition
+  board(id) {
+    const b = this.lookup(id);
+    if (!b) {
+      const skipped = this.lookup(id, this.excluded);
+      if (skipped) {
+        const name = skipped.file || this.mainFile;
+        const file = skipped.file === this.file ? '' : name ? ` v souboru ${name}` : ' v hlavním souboru';
+        throw new Error(`Deska [${id}] je vyřazena podmínkou${file} na řádku ${skipped.line}`);
+      }
+      throw new Error(`Neznámé ID [${id}]`);
+    }
+    return b;
+  }
+
+  // Value of {id.prop}. Inside a component the coordinates are relative to the instance origin,
+  // so a board outside the instance is moved back by the origins it is not placed under yet.
+  ref(id, prop) {
+    const b = this.board(id);
+    let v = this.prop(b, prop, id);
+    const axis = REF_AXES[prop];
+    if (axis !== undefined) for (const o of this.origins) if (!b.id.startsWith(o.prefix)) v -= o.origin[axis];
+    return prop === 'angle' ? v : v / this.scale;
   }
 
   prop(b, p, id) {
     const x=b.x??0, y=b.y??0, z=b.z??0;
     if (p==='x') return x; if (p==='y') return y; if (p==='z') return z;
     if (p==='w') return b.w; if (p==='h') return b.h; if (p==='d') return b.d;
-    if (p==='back') return z+b.d;
     if (p==='angle') return b.angle||0;
+    if (p==='len') return b.w;
+    if (b.beam && (p==='x2' || p==='y2' || p==='z2')) return b.beam[p];
+    if (p==='z2') return z;
 
-    if (b.angle && b.angle !== 0) {
+    if (b.angle || b.rot || b.beam) {
       // AABB for rotated board
-      const rad = b.angle * Math.PI / 180;
-      const cos = Math.cos(rad), sin = Math.sin(rad);
-      const corners = [
-        [x, y], [x + b.w*cos, y + b.w*sin],
-        [x + b.w*cos - b.h*sin, y + b.w*sin + b.h*cos],
-        [x - b.h*sin, y + b.h*cos]
-      ];
-      const xs = corners.map(c=>c[0]), ys = corners.map(c=>c[1]);
-      if (p==='right') return Math.max(...xs);
-      if (p==='top') return Math.max(...ys);
-      if (p==='cx') return (Math.min(...xs)+Math.max(...xs))/2;
-      if (p==='cy') return (Math.min(...ys)+Math.max(...ys))/2;
-      if (p==='x2') return x + b.w*cos;
-      if (p==='y2') return y + b.w*sin;
+      const { min, max } = boardAABB(b);
+      if (p==='right') return max[0]; if (p==='top') return max[1]; if (p==='back') return max[2];
+      if (p==='cx') return (min[0]+max[0])/2;
+      if (p==='cy') return (min[1]+max[1])/2;
+      if (p==='cz') return (min[2]+max[2])/2;
+      const rad = (b.angle||0) * Math.PI / 180;
+      if (p==='x2') return x + b.w*Math.cos(rad);
+      if (p==='y2') return y + b.w*Math.sin(rad);
     } else {
-      if (p==='right') return x+b.w; if (p==='top') return y+b.h;
-      if (p==='cx') return x+b.w/2; if (p==='cy') return y+b.h/2;
+      if (p==='right') return x+b.w; if (p==='top') return y+b.h; if (p==='back') return z+b.d;
+      if (p==='cx') return x+b.w/2; if (p==='cy') return y+b.h/2; if (p==='cz') return z+b.d/2;
       if (p==='x2') return x+b.w; if (p==='y2') return y;
     }
     throw new Error(`Neznámá vlastnost .${p} na [${id}]`);
   }
 
   math(expr) {
-    const e = String(expr).trim();
-    if (!/^[\d\s\+\-\*\/\(\)\.]+$/.test(e))
-      throw new Error(`Neplatný výraz: "${e}" (povoleny: čísla, +,-,*,/,()`);
-    try {
-      const r = Function(`"use strict";return (${e})`)();
-      if (typeof r !== 'number' || !isFinite(r)) throw new Error('Výsledek není číslo');
-      return Math.round(r * 1000) / 1000;
-    } catch(err) { throw new Error(`Chyba výrazu "${e}"`); }
+    const r = getExpr(String(expr).trim())(this);
+    if (typeof r !== 'number' || !isFinite(r)) throw new ExprError('Výsledek výrazu není číslo', 0);
+    return Math.round(r * 1000) / 1000 || 0;
   }
 }
 
-function parseDSL(text) {
-  return new DSLParser(text).parse();
+function parseDSL(text, options) {
+  return new DSLParser(text, options).parse();
+}
+
+// Include resolver for Node: reads included files relative to baseDir
+function fileResolver(baseDir) {
+  const fs = require('fs'), path = require('path');
+  return (file) => {
+    try { return fs.readFileSync(path.join(baseDir, file), 'utf8'); }
+    catch(e) { return null; }
+  };
 }
 
 // ═══════════════════════════════════════════════════════
@@ -1156,10 +2295,23 @@ function boardCount(n) {
   if(n===0) return '0 desek'; if(n===1) return '1 deska';
   if(n<5) return `${n} desky`; return `${n} desek`;
 }
+function sheetCount(n) {
+  if(n===1) return '1 tabule';
+  if(n>1&&n<5) return `${n} tabule`; return `${n} tabulí`;
+}
+function jointCount(n) {
+  if(n===1) return '1 spoj';
+  if(n>1&&n<5) return `${n} spoje`; return `${n} spojů`;
+}
 function hasCuts(b) {
   return b.cuts && (b.cuts.left!==null||b.cuts.right!==null||b.cuts.top!==null||b.cuts.bottom!==null);
 }
+// Board face is not a plain rectangle (trapezoid cuts or a shape outline)
+function hasOutline(b) {
+  return !!b.shape || !!hasCuts(b);
+}
 function boardShape(b) {
+  if (b.shape) return b.shape;
   const lh = b.cuts?.left ?? b.h;
   const rh = b.cuts?.right ?? b.h;
   const bw = b.cuts?.bottom ?? b.w;
@@ -1172,6 +2324,83 @@ function boardShape(b) {
     [0, lh]
   ];
 }
+// Area of the board's cut-outs in mm²
+function holeArea(b) {
+  return (b.holes || []).reduce((s, o) => s + (o.type === 'rect' ? o.w * o.h : Math.PI * o.r * o.r), 0);
+}
+
+// Whether a hole lies within a flattened outline; touching its edge is allowed.
+// No outline edge may pass through the hole, and the hole's centre must be inside.
+function holeInOutline(hole, pts) {
+  const EPS = 1e-6;
+  const rect = hole.type === 'rect';
+  const [cx, cy] = rect ? [hole.x + hole.w / 2, hole.y + hole.h / 2] : [hole.cx, hole.cy];
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [xi, yi] = pts[i], [xj, yj] = pts[j];
+    if ((yi > cy) !== (yj > cy) && cx < xj + (cy - yj) * (xi - xj) / (yi - yj)) inside = !inside;
+  }
+  if (!inside) return false;
+  for (let i = 0; i < pts.length; i++) {
+    const [ax, ay] = pts[i], [bx, by] = pts[(i + 1) % pts.length];
+    const dx = bx - ax, dy = by - ay;
+    if (rect) {
+      // Liang–Barsky clip of the edge to the hole's interior
+      let t0 = 0, t1 = 1, crosses = true;
+      for (const [p, q] of [[-dx, ax - hole.x], [dx, hole.x + hole.w - ax], [-dy, ay - hole.y], [dy, hole.y + hole.h - ay]]) {
+        if (p === 0) { if (q - EPS <= 0) crosses = false; continue; }
+        const t = (q - EPS) / p;
+        if (p < 0) t0 = Math.max(t0, t); else t1 = Math.min(t1, t);
+      }
+      if (crosses && t0 < t1) return false;
+    } else {
+      const t = Math.max(0, Math.min(1, ((cx - ax) * dx + (cy - ay) * dy) / (dx * dx + dy * dy || 1)));
+      if (Math.hypot(ax + t * dx - cx, ay + t * dy - cy) < hole.r - EPS) return false;
+    }
+  }
+  return true;
+}
+
+// Face area (outline) less cut-outs, in m²
+function boardArea(b) {
+  const face = hasOutline(b) ? Math.abs(polygonArea(boardShape(b))) : b.w * b.h;
+  return (face - holeArea(b)) / 1e6;
+}
+
+// Machining operations of a board for the cut list: notches, half-laps and joint pockets
+// with their size and position in board coordinates
+function boardOperations(b) {
+  return (b.notches || []).map(n => {
+    const type = n.joint || (n.lap ? 'lap' : 'notch');
+    return { type, label: OPERATION_LABELS[type], with: n.with, size: [n.w, n.h, n.d], at: [n.x, n.y, n.z] };
+  });
+}
+
+// Edge banding totals by type: [{ name, thickness, length (m) }] in order of first use.
+// Edges are measured at the finished size.
+function edgeBanding(boards) {
+  const types = new Map();
+  for (const b of boards) {
+    for (const e of b.edges || []) {
+      const key = `${e.name}|${e.thickness}`;
+      if (!types.has(key)) types.set(key, { name: e.name, thickness: e.thickness, length: 0 });
+      types.get(key).length += b[e.along] / 1000;
+    }
+  }
+  return [...types.values()].map(t => ({ ...t, length: Math.round(t.length * 1000) / 1000 }));
+}
+
+// Materials used by the given boards: [{ id, name, count }] in order of first use
+function materialUsage(boards, materials) {
+  const usage = new Map();
+  for (const b of boards) {
+    if (!b.material) continue;
+    if (!usage.has(b.material)) usage.set(b.material, { id: b.material, name: materials[b.material]?.name || b.material, count: 0 });
+    usage.get(b.material).count++;
+  }
+  return [...usage.values()];
+}
+
 function listViewDims(b) {
   switch((b.view || 'f').charAt(0)) {
     case 's': return { dw: b.d, dh: b.h }; // side: D x H
@@ -1203,6 +2432,1267 @@ function listViewDimsMulti(b) {
   });
 }
 
+// ═══════════════════════════════════════════════════════
+//  BOARD GEOMETRY (3D transform)
+// ═══════════════════════════════════════════════════════
+// Row-major 3×3 rotation: about X, then Y, then Z (world axes, degrees)
+function rotationMatrix(rx, ry, rz) {
+  const [cx, sx] = [Math.cos(rx * DEG), Math.sin(rx * DEG)];
+  const [cy, sy] = [Math.cos(ry * DEG), Math.sin(ry * DEG)];
+  const [cz, sz] = [Math.cos(rz * DEG), Math.sin(rz * DEG)];
+  return [
+    [cz*cy, cz*sy*sx - sz*cx, cz*sy*cx + sz*sx],
+    [sz*cy, sz*sy*sx + cz*cx, sz*sy*cx - cz*sx],
+    [-sy,   cy*sx,            cy*cx],
+  ];
+}
+function matMul(A, B) {
+  return A.map(row => [0, 1, 2].map(j => row[0]*B[0][j] + row[1]*B[1][j] + row[2]*B[2][j]));
+}
+function matVec(M, v) {
+  return M.map(row => row[0]*v[0] + row[1]*v[1] + row[2]*v[2]);
+}
+
+// Beam orientation: local X runs from → to. Heading about Y, then pitch about Z (as from/to),
+// then roll about the beam's own axis — a beam with z1 = z2 lies like a from/to board.
+function beamMatrix({ x1, y1, z1, x2, y2, z2, roll }) {
+  const dx = x2 - x1, dy = y2 - y1, dz = z2 - z1;
+  const yaw = Math.atan2(-dz, dx) / DEG;
+  const pitch = Math.atan2(dy, Math.hypot(dx, dz)) / DEG;
+  return matMul(matMul(rotationMatrix(0, yaw, 0), rotationMatrix(0, 0, pitch)), rotationMatrix(roll || 0, 0, 0));
+}
+
+// Board placement: world = R · local + t, local box spans 0..w × 0..h × 0..d.
+// from/to turns the board about Z at its origin corner; rotate turns it about the pivot.
+function boardTransform(b) {
+  let R = b.beam ? beamMatrix(b.beam) : rotationMatrix(0, 0, b.angle || 0);
+  let t = [b.x ?? 0, b.y ?? 0, b.z ?? 0];
+  if (b.rot) {
+    const Rr = rotationMatrix(b.rot.x, b.rot.y, b.rot.z);
+    const P = matVec(R, b.rot.pivot).map((v, i) => v + t[i]);
+    t = matVec(Rr, t.map((v, i) => v - P[i])).map((v, i) => v + P[i]);
+    R = matMul(Rr, R);
+  }
+  return { R, t };
+}
+
+// Signed polygon area (positive = counter-clockwise)
+function polygonArea(pts) {
+  let a = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i], [x2, y2] = pts[(i + 1) % pts.length];
+    a += x1 * y2 - x2 * y1;
+  }
+  return a / 2;
+}
+
+const ARC_STEP = Math.PI / 16;   // max angle per segment when arcs are flattened
+
+// Points of the arc around centre o from angle a1 sweeping by delta (a1 excluded, end included)
+function arcPoints(o, r, a1, delta) {
+  const n = Math.max(2, Math.ceil(Math.abs(delta) / ARC_STEP));
+  const pts = [];
+  for (let k = 1; k <= n; k++) {
+    const a = a1 + delta * k / n;
+    pts.push([o[0] + r * Math.cos(a), o[1] + r * Math.sin(a)]);
+  }
+  return pts;
+}
+
+// Angle difference normalised to (-π, π]
+function angleDelta(a1, a2) {
+  let delta = a2 - a1;
+  while (delta > Math.PI) delta -= 2 * Math.PI;
+  while (delta <= -Math.PI) delta += 2 * Math.PI;
+  return delta;
+}
+
+// Flatten a shape outline into a polygon.
+// vertices: [{ x, y, corner: { type: 'round'|'chamfer', size } | null, arc: R | null }]
+// arc on a vertex bends the segment to the next vertex (R > 0 bulges outwards, R < 0 inwards);
+// corners are rounded/chamfered only between two straight segments.
+function shapeOutline(vertices) {
+  const n = vertices.length;
+  if (n < 3) throw new Error(`Obrys potřebuje alespoň 3 body`);
+  const ccw = polygonArea(vertices.map(v => [v.x, v.y])) >= 0;
+  const out = [];
+
+  for (let i = 0; i < n; i++) {
+    const prev = vertices[(i + n - 1) % n], cur = vertices[i], next = vertices[(i + 1) % n];
+    const C = [cur.x, cur.y], P = [prev.x, prev.y], N = [next.x, next.y];
+
+    // Corner at this vertex
+    if (cur.corner && !prev.arc && !cur.arc && cur.corner.size > 0) {
+      const lp = Math.hypot(P[0] - C[0], P[1] - C[1]), ln = Math.hypot(N[0] - C[0], N[1] - C[1]);
+      const u1 = [(P[0] - C[0]) / lp, (P[1] - C[1]) / lp], u2 = [(N[0] - C[0]) / ln, (N[1] - C[1]) / ln];
+      const theta = Math.acos(Math.max(-1, Math.min(1, u1[0] * u2[0] + u1[1] * u2[1])));
+      if (theta > 1e-6 && theta < Math.PI - 1e-6) {
+        if (cur.corner.type === 'chamfer') {
+          const c = Math.min(cur.corner.size, lp / 2, ln / 2);
+          out.push([C[0] + u1[0] * c, C[1] + u1[1] * c], [C[0] + u2[0] * c, C[1] + u2[1] * c]);
+        } else {
+          // Fillet: tangent points at distance t from the corner, centre on the bisector
+          const t = Math.min(cur.corner.size / Math.tan(theta / 2), lp / 2, ln / 2);
+          const r = t * Math.tan(theta / 2);
+          const bis = [u1[0] + u2[0], u1[1] + u2[1]], bl = Math.hypot(bis[0], bis[1]);
+          const dist = r / Math.sin(theta / 2);
+          const O = [C[0] + bis[0] / bl * dist, C[1] + bis[1] / bl * dist];
+          const T1 = [C[0] + u1[0] * t, C[1] + u1[1] * t], T2 = [C[0] + u2[0] * t, C[1] + u2[1] * t];
+          const a1 = Math.atan2(T1[1] - O[1], T1[0] - O[0]), a2 = Math.atan2(T2[1] - O[1], T2[0] - O[0]);
+          out.push(T1, ...arcPoints(O, r, a1, angleDelta(a1, a2)));
+        }
+        continue;
+      }
+    }
+    out.push(C);
+
+    // Arc segment to the next vertex
+    if (cur.arc) {
+      const L = Math.hypot(N[0] - C[0], N[1] - C[1]), R = Math.abs(cur.arc);
+      if (R < L / 2 - 1e-6) throw new Error(`Poloměr oblouku ${R} je menší než polovina tětivy ${Math.round(L / 2 * 1000) / 1000}`);
+      const d = [(N[0] - C[0]) / L, (N[1] - C[1]) / L];
+      const outward = ccw ? [d[1], -d[0]] : [-d[1], d[0]];
+      const bulge = cur.arc > 0 ? outward : [-outward[0], -outward[1]];
+      const h = Math.sqrt(Math.max(0, R * R - L * L / 4));
+      const M = [(C[0] + N[0]) / 2, (C[1] + N[1]) / 2];
+      const O = [M[0] - bulge[0] * h, M[1] - bulge[1] * h];
+      const a1 = Math.atan2(C[1] - O[1], C[0] - O[0]), a2 = Math.atan2(N[1] - O[1], N[0] - O[0]);
+      let delta = angleDelta(a1, a2);
+      // Make the arc pass through the bulge side (matters for half circles)
+      const am = a1 + delta / 2;
+      if ((Math.cos(am) * R + O[0] - M[0]) * bulge[0] + (Math.sin(am) * R + O[1] - M[1]) * bulge[1] < 0)
+        delta -= Math.sign(delta || 1) * 2 * Math.PI;
+      out.push(...arcPoints(O, R, a1, delta).slice(0, -1));
+    }
+  }
+  return out.map(p => p.map(v => Math.round(v * 1000) / 1000));
+}
+
+// World-space vertices of the board solid (cut outline extruded over the depth)
+function boardVertices(b) {
+  const { R, t } = boardTransform(b);
+  const outline = hasOutline(b) ? boardShape(b) : [[0, 0], [b.w, 0], [b.w, b.h], [0, b.h]];
+  const pts = [];
+  for (const [px, py] of outline)
+    for (const pz of [0, b.d])
+      pts.push(matVec(R, [px, py, pz]).map((v, i) => v + t[i]));
+  return pts;
+}
+
+// Axis-aligned bounding box { min: [x, y, z], max: [x, y, z] }
+function boardAABB(b) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (const p of boardVertices(b))
+    for (let i = 0; i < 3; i++) { min[i] = Math.min(min[i], p[i]); max[i] = Math.max(max[i], p[i]); }
+  return { min, max };
+}
+
+// Bounds of world points in the local coordinates of board a (local = Rᵀ · (p − t))
+function localBounds(a, pts) {
+  const { R, t } = boardTransform(a);
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (const p of pts) {
+    const q = [p[0] - t[0], p[1] - t[1], p[2] - t[2]];
+    for (let j = 0; j < 3; j++) {
+      const v = Math.round((R[0][j]*q[0] + R[1][j]*q[1] + R[2][j]*q[2]) * 1000) / 1000;
+      min[j] = Math.min(min[j], v); max[j] = Math.max(max[j], v);
+    }
+  }
+  return { min, max };
+}
+
+// Bounds clipped to the board box → { x, y, z, w, h, d } in local coordinates, or null when empty
+function clipToBoard(a, { min, max }) {
+  const size = [a.w, a.h, a.d];
+  const lo = min.map(v => Math.max(0, v)), hi = max.map((v, i) => Math.min(size[i], v));
+  if (lo.some((v, i) => hi[i] - v < 0.01)) return null;
+  return { x: lo[0], y: lo[1], z: lo[2], w: hi[0] - lo[0], h: hi[1] - lo[1], d: hi[2] - lo[2] };
+}
+
+// Volume of board `other` inside board a, as a box in a's local coordinates (null = no overlap).
+// A rotated `other` is taken by its bounding box in a's frame.
+function overlapBox(a, other) {
+  return clipToBoard(a, localBounds(a, boardVertices(other)));
+}
+
+// Half-lap: the shared volume is halved across the axis both boards pass through completely
+// (local height first). a gives up the upper half, b the lower one.
+// Returns [box in a's coordinates, box in b's coordinates] or null.
+function lapBoxes(a, b) {
+  const bounds = localBounds(a, boardVertices(b));
+  const box = clipToBoard(a, bounds);
+  if (!box) return null;
+  const size = [a.w, a.h, a.d];
+  const coversA = k => bounds.min[k] <= 0.01 && bounds.max[k] >= size[k] - 0.01;
+  const coversB = k => bounds.min[k] >= -0.01 && bounds.max[k] <= size[k] + 0.01;
+  const order = [1, 2, 0];
+  const k = order.find(k => coversA(k) && coversB(k)) ?? order.find(coversA) ?? 1;
+
+  const lo = [box.x, box.y, box.z], hi = [box.x + box.w, box.y + box.h, box.z + box.d];
+  const mid = Math.round((lo[k] + hi[k]) / 2 * 1000) / 1000;
+  const upper = { min: [...lo], max: [...hi] }, lower = { min: [...lo], max: [...hi] };
+  upper.min[k] = mid;
+  lower.max[k] = mid;
+
+  // The lower half, where a keeps its material, is cut from b
+  const { R, t } = boardTransform(a);
+  const corners = [];
+  for (const x of [lower.min[0], lower.max[0]])
+    for (const y of [lower.min[1], lower.max[1]])
+      for (const z of [lower.min[2], lower.max[2]])
+        corners.push(matVec(R, [x, y, z]).map((v, i) => v + t[i]));
+  const boxB = clipToBoard(b, localBounds(b, corners));
+  if (!boxB) return null;
+  return [clipToBoard(a, upper), boxB];
+}
+
+// Index of the panel thickness among [w, h, d]: the dimension equal to the material
+// thickness, otherwise the smallest one
+function thicknessAxis(size, thickness) {
+  const t = thickness == null ? -1 : size.findIndex(v => Math.abs(v - thickness) < 0.01);
+  return t === -1 ? size.indexOf(Math.min(...size)) : t;
+}
+
+const CONTACT_TOL = 0.5;   // mm between faces that still counts as touching
+const BOARD_SIDES = [['left', 'right'], ['bottom', 'top'], ['front', 'back']];
+
+// Face of board a that board b rests against: { axis, dir, name } in a's local coordinates,
+// or null. b has to lie outside a on that axis and overlap it on the other two.
+function contactSide(a, b) {
+  const { min, max } = localBounds(a, boardVertices(b));
+  const size = [a.w, a.h, a.d];
+  const overlaps = k => Math.min(max[k], size[k]) - Math.max(min[k], 0) > 0.01;
+  for (let k = 0; k < 3; k++) {
+    if (!overlaps((k + 1) % 3) || !overlaps((k + 2) % 3)) continue;
+    if (Math.abs(min[k] - size[k]) <= CONTACT_TOL) return { axis: k, dir: 1, name: BOARD_SIDES[k][1] };
+    if (Math.abs(max[k]) <= CONTACT_TOL) return { axis: k, dir: -1, name: BOARD_SIDES[k][0] };
+  }
+  return null;
+}
+
+// Pocket cut into board b when board a is extended by depth on the given side:
+// { box (b's local coordinates), reach (pocket depth actually inside b) } or null
+function jointPocket(a, b, side, depth) {
+  const lo = [0, 0, 0], hi = [a.w, a.h, a.d];
+  if (side.dir > 0) hi[side.axis] += depth;
+  else lo[side.axis] -= depth;
+  const A = boardTransform(a);
+  const corners = [];
+  for (const x of [lo[0], hi[0]])
+    for (const y of [lo[1], hi[1]])
+      for (const z of [lo[2], hi[2]])
+        corners.push(matVec(A.R, [x, y, z]).map((v, i) => v + A.t[i]));
+  const box = clipToBoard(b, localBounds(b, corners));
+  if (!box) return null;
+  // Extent of the pocket along b's axis closest to the joint direction
+  const B = boardTransform(b);
+  const n = [0, 1, 2].map(i => A.R[i][side.axis]);
+  const nb = [0, 1, 2].map(j => Math.abs(B.R[0][j]*n[0] + B.R[1][j]*n[1] + B.R[2][j]*n[2]));
+  const kb = nb.indexOf(Math.max(...nb));
+  return { box, reach: [box.w, box.h, box.d][kb] };
+}
+
+// Cut size: finished size less the edge banding, plus the depth of the joints the board is let into
+function cutDims(b) {
+  const size = [b.w, b.h, b.d];
+  const axis = side => BOARD_SIDES.findIndex(s => s.includes(side));
+  for (const e of b.edges || []) size[axis(e.side)] -= e.thickness;
+  for (const j of b.joints || []) size[axis(j.side)] += j.depth;
+  return { w: size[0], h: size[1], d: size[2] };
+}
+
+// Faces of a w × h × d box with box notches removed: quads [[x, y, z] × 4], counter-clockwise
+// seen from outside. The box is split into cells at the notch planes; faces are kept only
+// between a solid cell and an empty one, so coplanar neighbours leave no inner edges.
+function notchedBoxFaces(w, h, d, notches) {
+  const planes = [[0, w], [0, h], [0, d]];
+  for (const n of notches) {
+    planes[0].push(n.x, n.x + n.w);
+    planes[1].push(n.y, n.y + n.h);
+    planes[2].push(n.z, n.z + n.d);
+  }
+  const axes = planes.map(p => [...new Set(p)].sort((a, b) => a - b));
+  const cells = axes.map(a => a.length - 1);
+  const solid = idx => {
+    if (idx.some((v, i) => v < 0 || v >= cells[i])) return false;
+    const c = idx.map((v, i) => (axes[i][v] + axes[i][v + 1]) / 2);
+    return !notches.some(n => c[0] > n.x && c[0] < n.x + n.w && c[1] > n.y && c[1] < n.y + n.h
+                            && c[2] > n.z && c[2] < n.z + n.d);
+  };
+
+  const faces = [];
+  for (let i = 0; i < cells[0]; i++)
+    for (let j = 0; j < cells[1]; j++)
+      for (let k = 0; k < cells[2]; k++) {
+        if (!solid([i, j, k])) continue;
+        const lo = [axes[0][i], axes[1][j], axes[2][k]], hi = [axes[0][i + 1], axes[1][j + 1], axes[2][k + 1]];
+        for (let axis = 0; axis < 3; axis++) {
+          for (const dir of [-1, 1]) {
+            const nb = [i, j, k];
+            nb[axis] += dir;
+            if (solid(nb)) continue;
+            // (u, v, axis) is right-handed: u → v runs counter-clockwise seen from +axis
+            const u = (axis + 1) % 3, v = (axis + 2) % 3;
+            const corner = (cu, cv) => { const p = []; p[axis] = dir > 0 ? hi[axis] : lo[axis]; p[u] = cu; p[v] = cv; return p; };
+            const quad = [corner(lo[u], lo[v]), corner(hi[u], lo[v]), corner(hi[u], hi[v]), corner(lo[u], hi[v])];
+            faces.push(dir > 0 ? quad : quad.reverse());
+          }
+        }
+      }
+  return faces;
+}
+
+// ═══════════════════════════════════════════════════════
+//  CUT LIST
+// ═══════════════════════════════════════════════════════
+const CUT_LIST_HEADER = ['Název', 'ID', 'Skupina', 'Materiál', 'Délka [mm]', 'Šířka [mm]', 'Tloušťka [mm]',
+  'Ks', 'Ořez', 'Otvory', 'Opracování', 'Olepení', 'Vlákna'];
+
+// Cut size as length ≥ width ≥ thickness; with grain the length is the size along the grain
+function cutListDims(b) {
+  const size = cutDims(b);
+  const dims = b.grain ? [size[b.grain], ...['w', 'h', 'd'].filter(k => k !== b.grain).map(k => size[k]).sort((a, c) => c - a)]
+    : [size.w, size.h, size.d].sort((a, c) => c - a);
+  return dims.map(v => Math.round(v * 1000) / 1000);
+}
+
+// Shared leading words of the merged parts ("Patka F1", "Patka F2" → "Patka"), else all names.
+// A trailing separator of the shared words ("Zadní stěna –") is dropped.
+function commonName(names) {
+  const unique = [...new Set(names)];
+  if (unique.length === 1) return unique[0];
+  const words = unique.map(n => n.split(/\s+/));
+  let k = 0;
+  while (k < words[0].length && words.every(w => w[k] === words[0][k])) k++;
+  return words[0].slice(0, k).join(' ').replace(/[\s\p{P}]+$/u, '') || unique.join(', ');
+}
+
+// Cut list: one row per distinct part, identical parts merged with their count.
+// Parts are identical when group, material, cut size, outline, holes, machining, banding and grain
+// match — the name and position do not count. Rows keep the order of first appearance.
+function cutList(boards, materials = {}) {
+  const rows = new Map();
+  for (const b of boards) {
+    const [length, width, thickness] = cutListDims(b);
+    const outline = b.shape ? 'tvar' : hasCuts(b) ? 'ořez' : '';
+    const ops = boardOperations(b).map(o => [o.type, o.size, o.at]);
+    const edges = (b.edges || []).map(e => [e.side, e.thickness, e.name]);
+    const key = JSON.stringify([b.group || '', b.material || '', length, width, thickness, outline,
+      outline ? b.shape || b.cuts : null, b.holes || [], ops, edges, b.grain || null]);
+    if (!rows.has(key)) {
+      const bands = new Map();
+      for (const e of b.edges || []) {
+        const label = `${e.name} ${e.thickness} mm`;
+        bands.set(label, [...(bands.get(label) || []), e.side]);
+      }
+      rows.set(key, {
+        names: [], ids: [],
+        group: b.group || '',
+        material: b.material ? materials[b.material]?.name || b.material : '',
+        length, width, thickness,
+        outline,
+        holes: (b.holes || []).length,
+        operations: boardOperations(b).map(o => `${o.label} ${o.size.map(v => Math.round(v * 1000) / 1000).join('×')}`),
+        edges: [...bands].map(([label, sides]) => `${label}: ${sides.join(', ')}`),
+        grain: !!b.grain,
+      });
+    }
+    const row = rows.get(key);
+    row.names.push(b.name);
+    row.ids.push(b.id);
+  }
+  return [...rows.values()].map(({ names, ...row }) => ({ name: commonName(names), ...row, qty: row.ids.length }));
+}
+
+// Cut list as CSV for spreadsheets (Excel opens it directly): semicolon separated, decimal
+// comma, CRLF. Edge banding totals, fasteners (see fastenerList) and the cost estimate (see
+// projectCost) follow after empty lines.
+function cutListCSV(rows, banding = [], cost = null, fasteners = []) {
+  const num = v => String(Math.round(v * 1000) / 1000).replace('.', ',');
+  const cell = v => typeof v === 'number' ? num(v)
+    : /[;"\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  const lines = [CUT_LIST_HEADER, ...rows.map(r => [
+    r.name, r.ids.join(', '), r.group, r.material, r.length, r.width, r.thickness, r.qty,
+    r.outline, r.holes || '', r.operations.join(', '), r.edges.join(', '), r.grain ? 'ano' : '',
+  ])];
+  if (banding.length) {
+    lines.push([], ['Olepování hran', 'Tloušťka [mm]', 'Délka [m]']);
+    for (const t of banding) lines.push([t.name, t.thickness, t.length]);
+  }
+  if (fasteners.length) {
+    lines.push([], ['Spojovací materiál', 'Počet [ks]', 'Spojů']);
+    for (const f of fasteners) lines.push([f.name, f.qty, f.joints]);
+  }
+  if (cost && (cost.materials.length || cost.hardware.length)) {
+    lines.push([], ['Kalkulace', 'Množství', 'Jednotka', 'Cena za jednotku [Kč]', 'Cena [Kč]']);
+    for (const m of cost.materials) {
+      lines.push(m.unit === 'sheet' ? [m.name, m.sheets, 'tabule', m.price, m.cost] : [m.name, m.qty, PRICE_UNIT_NAMES[m.unit], m.price, m.cost]);
+    }
+    for (const h of cost.hardware) lines.push([h.name, h.qty, PRICE_UNIT_NAMES[h.unit], h.price, h.cost]);
+    for (const g of cost.groups) lines.push([`Skupina ${g.name ?? '(bez skupiny)'}`, '', '', '', g.cost]);
+    lines.push(['Celkem', '', '', '', cost.total]);
+  }
+  return lines.map(l => l.map(cell).join(';')).join('\r\n') + '\r\n';
+}
+
+// ═══════════════════════════════════════════════════════
+//  SHEET NESTING
+// ═══════════════════════════════════════════════════════
+const DEFAULT_KERF = 3;   // saw blade width in mm unless the material sets 'kerf'
+
+// Panel part of a board as laid on a sheet: cut size of the face (the two dimensions other than
+// the thickness). Outlined faces are nested by their bounding box and keep the outline for drawing.
+function sheetPart(b, mat) {
+  const size = cutDims(b);
+  const dims = [size.w, size.h, size.d];
+  const t = thicknessAxis([b.w, b.h, b.d], mat.thickness);
+  const [u, v] = [0, 1, 2].filter(k => k !== t);
+  const part = { id: b.id, name: b.name, color: b.color, w: dims[u], h: dims[v], grain: null };
+  if (b.grain) part.grain = 'whd'.indexOf(b.grain) === u ? 'w' : 'h';
+  if (hasOutline(b) && t === 2) {
+    const pts = boardShape(b);
+    const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys);
+    part.w = Math.max(...xs) - x0;
+    part.h = Math.max(...ys) - y0;
+    part.outline = pts.map(([x, y]) => [x - x0, y - y0]);
+  }
+  return part;
+}
+
+// Guillotine nesting of sheet parts: every cut runs straight across the remaining piece.
+// Parts go largest first into the first sheet with room, in the free piece they fit most tightly
+// (best short side); the piece is then split along its shorter leftover. Each cut takes `kerf`,
+// `trim` is removed from every sheet edge. Parts with grain keep it along the sheet's longer side,
+// the others may turn by 90°.
+// Returns one entry per sheet material: { material, name, sheet, kerf, trim, grainAxis, sheets: [{ parts,
+// waste }], waste, unplaced }; parts are { id, name, color, x, y, w, h, rotated, outline? } in sheet
+// coordinates, waste is in % of the sheet area, grainAxis is null when no part has grain.
+function nestSheets(boards, materials) {
+  const groups = new Map();
+  for (const b of boards) {
+    const mat = b.material && materials[b.material];
+    if (b.beam || !mat?.sheet) continue;
+    if (!groups.has(mat.id)) groups.set(mat.id, { mat, parts: [] });
+    groups.get(mat.id).parts.push(sheetPart(b, mat));
+  }
+
+  return [...groups.values()].map(({ mat, parts }) => {
+    const { w: SW, h: SH } = mat.sheet;
+    const kerf = mat.kerf ?? DEFAULT_KERF, trim = mat.trim ?? 0;
+    const grainAxis = parts.some(p => p.grain) ? (SW >= SH ? 'w' : 'h') : null;
+    const sheets = [], unplaced = [];
+    const order = [...parts].sort((a, c) => c.w * c.h - a.w * a.h || Math.max(c.w, c.h) - Math.max(a.w, a.h));
+
+    for (const p of order) {
+      const turns = p.grain ? [p.grain !== grainAxis] : p.w === p.h ? [false] : [false, true];
+      const fitIn = sheet => {
+        let best = null;
+        sheet.free.forEach((fr, i) => {
+          for (const rotated of turns) {
+            const [w, h] = rotated ? [p.h, p.w] : [p.w, p.h];
+            if (w > fr.w + 1e-6 || h > fr.h + 1e-6) continue;
+            const score = Math.min(fr.w - w, fr.h - h);
+            if (!best || score < best.score) best = { i, w, h, rotated, score };
+          }
+        });
+        return best;
+      };
+
+      let sheet = sheets.find(fitIn);
+      if (!sheet) {
+        sheet = { parts: [], free: [{ x: trim, y: trim, w: SW - 2 * trim, h: SH - 2 * trim }] };
+        if (!fitIn(sheet)) { unplaced.push({ id: p.id, name: p.name, w: p.w, h: p.h }); continue; }
+        sheets.push(sheet);
+      }
+      const { i, w, h, rotated } = fitIn(sheet);
+      const fr = sheet.free[i];
+      const placed = { id: p.id, name: p.name, color: p.color, x: fr.x, y: fr.y, w, h, rotated };
+      if (p.outline) placed.outline = p.outline;
+      sheet.parts.push(placed);
+
+      // A part flush with the piece's edge needs no cut there
+      const cw = Math.min(w + kerf, fr.w), ch = Math.min(h + kerf, fr.h);
+      const pieces = fr.w - w < fr.h - h
+        ? [{ x: fr.x + cw, y: fr.y, w: fr.w - cw, h: ch }, { x: fr.x, y: fr.y + ch, w: fr.w, h: fr.h - ch }]
+        : [{ x: fr.x + cw, y: fr.y, w: fr.w - cw, h: fr.h }, { x: fr.x, y: fr.y + ch, w: cw, h: fr.h - ch }];
+      sheet.free.splice(i, 1, ...pieces.filter(r => r.w > 0.01 && r.h > 0.01));
+    }
+
+    const area = SW * SH;
+    const wastePct = (used, n) => n ? Math.round((1 - used / (n * area)) * 1000) / 10 : 0;
+    const usedArea = s => s.parts.reduce((a, q) => a + q.w * q.h, 0);
+    return {
+      material: mat.id, name: mat.name, sheet: { w: SW, h: SH }, kerf, trim, grainAxis,
+      sheets: sheets.map(s => ({ parts: s.parts, waste: wastePct(usedArea(s), 1) })),
+      waste: wastePct(sheets.reduce((a, s) => a + usedArea(s), 0), sheets.length),
+      unplaced,
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════
+//  LINEAR STOCK (beams, battens)
+// ═══════════════════════════════════════════════════════
+const DEFAULT_STOCK = 4000;   // stock length in mm for timber without a material 'stock'
+const LINEAR_RATIO = 4;        // a board is linear when its length is ≥ 4× its wider profile side…
+const LINEAR_MAX_ASPECT = 6;   // …and that side is at most 6× the narrower one (no panel strips)
+
+// Linear piece of a beam or beam-like board: { id, name, profile: [a, b], length, angle }.
+// Sloped from/to members get plumb end cuts, `angle` degrees off square; the stock length then
+// includes the overhang h · tan(angle). Returns null for panels.
+function linearPiece(b, materials) {
+  if (!b.beam && (materials[b.material]?.sheet)) return null;
+  const size = cutDims(b);
+  const dims = [size.w, size.h, size.d];
+  const k = b.beam || b.fromTo ? 0 : dims.indexOf(Math.max(...dims));
+  const profile = dims.filter((_, i) => i !== k).sort((a, c) => a - c);
+  if (!b.beam && (dims[k] < LINEAR_RATIO * profile[1] || profile[1] > LINEAR_MAX_ASPECT * profile[0])) return null;
+
+  let slope = 0;
+  if (b.beam) {
+    const { x1, y1, z1, x2, y2, z2 } = b.beam;
+    slope = Math.asin(Math.min(1, Math.abs(y2 - y1) / Math.hypot(x2 - x1, y2 - y1, z2 - z1))) / DEG;
+  } else if (b.fromTo) {
+    slope = Math.abs(b.angle) % 180;
+    if (slope > 90) slope = 180 - slope;
+  }
+  const angle = slope > 0.05 && slope < 89.95 ? Math.round(slope * 10) / 10 : 0;
+  const length = dims[k] + (angle ? b.h * Math.tan(angle * DEG) : 0);
+  return { id: b.id, name: b.name, color: b.color, profile, length: Math.round(length * 10) / 10, angle };
+}
+
+// 1D cutting stock: beams and beam-like boards grouped by material and profile, packed first fit
+// decreasing into the longest stock length; each bar is then shortened to the shortest stock
+// length its pieces fit. Each cut takes `kerf` (material or options), stock lengths come from the
+// material's `stock` or options.stock.
+// Returns [{ material, name, profile, kerf, bars: [{ stock, pieces, offcut }], buy: [{ length, qty }],
+// waste, unplaced }]; waste is in % of the bought length.
+function cutStock(boards, materials, options = {}) {
+  const groups = new Map();
+  for (const b of boards) {
+    const piece = linearPiece(b, materials);
+    if (!piece) continue;
+    const mat = b.material ? materials[b.material] : null;
+    const key = `${b.material || ''}|${piece.profile.join('x')}`;
+    if (!groups.has(key)) groups.set(key, { mat, profile: piece.profile, pieces: [] });
+    groups.get(key).pieces.push(piece);
+  }
+
+  return [...groups.values()].map(({ mat, profile, pieces }) => {
+    const kerf = mat?.kerf ?? options.kerf ?? DEFAULT_KERF;
+    const stock = [...(mat?.stock || options.stock || [DEFAULT_STOCK])].sort((a, c) => a - c);
+    const longest = stock[stock.length - 1];
+    const used = bar => bar.pieces.reduce((s, p) => s + p.length, 0) + kerf * (bar.pieces.length - 1);
+    const bars = [], unplaced = [];
+    for (const p of [...pieces].sort((a, c) => c.length - a.length)) {
+      if (p.length > longest + 1e-6) { unplaced.push(p); continue; }
+      const bar = bars.find(bar => used(bar) + kerf + p.length <= longest + 1e-6);
+      if (bar) bar.pieces.push(p);
+      else bars.push({ pieces: [p] });
+    }
+    for (const bar of bars) {
+      bar.stock = stock.find(l => used(bar) <= l + 1e-6);
+      // The last piece needs no cut when it ends flush with the bar
+      bar.offcut = Math.max(0, Math.round((bar.stock - used(bar) - kerf) * 10) / 10);
+    }
+    const buy = stock.map(length => ({ length, qty: bars.filter(b => b.stock === length).length })).filter(s => s.qty);
+    const total = bars.reduce((s, b) => s + b.stock, 0);
+    const cut = pieces.filter(p => !unplaced.includes(p)).reduce((s, p) => s + p.length, 0);
+    return {
+      material: mat?.id || null,
+      name: `${mat ? mat.name + ' ' : ''}${profile.map(v => Math.round(v * 10) / 10).join('×')}`,
+      profile, kerf,
+      bars: bars.map(({ stock, pieces, offcut }) => ({ stock, pieces, offcut })),
+      buy,
+      waste: total ? Math.round((1 - cut / total) * 1000) / 10 : 0,
+      unplaced,
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════
+//  COST ESTIMATE
+// ═══════════════════════════════════════════════════════
+const PRICE_UNIT_NAMES = { m2: 'm²', sheet: 'tabule', m: 'm', pc: 'ks' };
+const DEFAULT_SHEET_WASTE = 15;   // % added to the parts' area before rounding up to sheets
+
+// Quantity of a board in its material's price unit: face area (m²) for m2 and sheet, length (m) for m,
+// 1 for pc. The face is the two dimensions other than the thickness, at cut size.
+function priceQty(b, mat) {
+  const size = cutDims(b);
+  const dims = [size.w, size.h, size.d];
+  switch (mat.price.unit) {
+    case 'pc': return 1;
+    case 'm': return (linearPiece(b, { [mat.id]: mat })?.length ?? Math.max(...dims)) / 1000;
+    default: {
+      const t = thicknessAxis([b.w, b.h, b.d], mat.thickness);
+      if (t === 2 && (hasOutline(b) || b.holes)) return boardArea(b);
+      return dims.filter((_, k) => k !== t).reduce((a, v) => a * v, 1) / 1e6;
+    }
+  }
+}
+
+// Cost estimate of the project: boards priced by their material, hardware by its own price.
+// Sheet-priced materials are rounded up to whole sheets from the parts' area plus the material's
+// `waste` (default 15 %); groups share those sheets by area.
+// Returns { total, materials: [{ id, name, unit, qty, sheets?, price, cost }], hardware: [{ name, unit,
+// qty, price, cost }], groups: [{ name, cost }], unpriced: [board ids] } in order of first use.
+function projectCost(boards, materials, hardware = []) {
+  const round = v => Math.round(v * 100) / 100;
+  const mats = new Map(), groups = new Map(), shares = [], unpriced = [];
+  const addGroup = (name, cost) => groups.set(name ?? null, (groups.get(name ?? null) || 0) + cost);
+
+  for (const b of boards) {
+    const mat = b.material && materials[b.material];
+    if (!mat?.price) { unpriced.push(b.id); continue; }
+    if (!mats.has(mat.id)) mats.set(mat.id, { id: mat.id, name: mat.name, unit: mat.price.unit, qty: 0, price: mat.price.value });
+    const qty = priceQty(b, mat);
+    mats.get(mat.id).qty += qty;
+    if (mat.price.unit === 'sheet') shares.push({ group: b.group, mat: mat.id, qty });
+    else addGroup(b.group, qty * mat.price.value);
+  }
+  for (const m of mats.values()) {
+    if (m.unit === 'sheet') {
+      const { sheet, waste } = materials[m.id];
+      m.sheets = Math.ceil(m.qty * (1 + (waste ?? DEFAULT_SHEET_WASTE) / 100) / (sheet.w * sheet.h / 1e6) - 1e-9);
+      m.cost = m.sheets * m.price;
+    } else {
+      m.cost = m.qty * m.price;
+    }
+    m.qty = Math.round(m.qty * 1000) / 1000;
+  }
+  for (const s of shares) {
+    const m = mats.get(s.mat);
+    addGroup(s.group, m.qty ? m.cost * s.qty / m.qty : 0);
+  }
+
+  const items = new Map();
+  for (const h of hardware) {
+    if (!h.price) continue;
+    const key = `${h.name}|${h.price.unit}|${h.price.value}`;
+    if (!items.has(key)) items.set(key, { name: h.name, unit: h.price.unit, qty: 0, price: h.price.value, cost: 0 });
+    const item = items.get(key);
+    item.qty += h.qty;
+    item.cost += h.qty * h.price.value;
+    addGroup(h.group, h.qty * h.price.value);
+  }
+
+  const matList = [...mats.values()].map(m => ({ ...m, cost: round(m.cost) }));
+  const hwList = [...items.values()].map(h => ({ ...h, cost: round(h.cost) }));
+  return {
+    total: round([...matList, ...hwList].reduce((s, x) => s + x.cost, 0)),
+    materials: matList,
+    hardware: hwList,
+    groups: [...groups].map(([name, cost]) => ({ name, cost: round(cost) })),
+    unpriced,
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+//  MASS & STABILITY
+// ═══════════════════════════════════════════════════════
+const FLOOR_TOL = 1;    // mm above the lowest point that still stands on the floor
+const TIP_ANGLE = 10;   // ° of tilt below which the model counts as tipping easily
+
+// Density in kg/m³: the board's own, else its material's, else null
+function boardDensity(b, materials) {
+  return b.density ?? (b.material && materials[b.material]?.density) ?? null;
+}
+
+// Volume (mm³) and centroid in board coordinates: the face (outline or cuts) less cut-outs,
+// extruded through the thickness, less notches and joint pockets
+function boardSolid(b) {
+  const outline = hasOutline(b) ? boardShape(b) : [[0, 0], [b.w, 0], [b.w, b.h], [0, b.h]];
+  let area = polygonArea(outline), mx = 0, my = 0;
+  for (let i = 0; i < outline.length; i++) {
+    const [x1, y1] = outline[i], [x2, y2] = outline[(i + 1) % outline.length];
+    const c = x1 * y2 - x2 * y1;
+    mx += (x1 + x2) * c / 6;
+    my += (y1 + y2) * c / 6;
+  }
+  if (area < 0) { area = -area; mx = -mx; my = -my; }
+  for (const o of b.holes || []) {
+    const a = o.type === 'rect' ? o.w * o.h : Math.PI * o.r * o.r;
+    const [cx, cy] = o.type === 'rect' ? [o.x + o.w / 2, o.y + o.h / 2] : [o.cx, o.cy];
+    area -= a; mx -= a * cx; my -= a * cy;
+  }
+  let volume = area * b.d;
+  const m = [mx * b.d, my * b.d, volume * b.d / 2];
+  for (const n of b.notches || []) {
+    const v = n.w * n.h * n.d;
+    volume -= v;
+    m[0] -= v * (n.x + n.w / 2); m[1] -= v * (n.y + n.h / 2); m[2] -= v * (n.z + n.d / 2);
+  }
+  return { volume, centroid: volume > 0 ? m.map(v => v / volume) : [b.w / 2, b.h / 2, b.d / 2] };
+}
+
+// Mass of a board in kg, null without a density
+function boardMass(b, materials) {
+  const density = boardDensity(b, materials);
+  return density === null ? null : boardSolid(b).volume / 1e9 * density;
+}
+
+// Weight and centre of mass of the model from the boards with a known density.
+// Returns { total (kg), com ([x, y, z] in mm, null when nothing weighs), boards: [{ id, mass }],
+// unknown: [board ids without density] }.
+function massProperties(boards, materials) {
+  let total = 0;
+  const m = [0, 0, 0], list = [], unknown = [];
+  for (const b of boards) {
+    const density = boardDensity(b, materials);
+    if (density === null) { unknown.push(b.id); continue; }
+    const { volume, centroid } = boardSolid(b);
+    const mass = volume / 1e9 * density;
+    const { R, t } = boardTransform(b);
+    const c = matVec(R, centroid).map((v, i) => v + t[i]);
+    for (let i = 0; i < 3; i++) m[i] += mass * c[i];
+    total += mass;
+    list.push({ id: b.id, mass: Math.round(mass * 1000) / 1000 });
+  }
+  return {
+    total: Math.round(total * 1000) / 1000,
+    com: total > 0 ? m.map(v => Math.round(v / total * 10) / 10) : null,
+    boards: list,
+    unknown,
+  };
+}
+
+// Tipping check of the model standing on its lowest boards. The footprint is the convex hull
+// (in X, Z) of the corners within FLOOR_TOL of the floor; margin is the distance of the centre of
+// mass from the nearest footprint edge (negative outside) and angle the tilt at which it tips over.
+// Returns { footprint: [[x, z]], floor, height, margin, angle, stable } or null without a centre of mass.
+function stabilityCheck(boards, com) {
+  if (!com || !boards.length) return null;
+  const pts = boards.flatMap(b => boardVertices(b));
+  const floor = Math.min(...pts.map(p => p[1]));
+  const footprint = convexHull(pts.filter(p => p[1] <= floor + FLOOR_TOL).map(p => [p[0], p[2]]));
+  const height = com[1] - floor;
+  let margin = -Infinity;
+  if (footprint.length >= 3) {
+    margin = Infinity;
+    for (let i = 0; i < footprint.length; i++) {
+      const [x1, z1] = footprint[i], [x2, z2] = footprint[(i + 1) % footprint.length];
+      const len = Math.hypot(x2 - x1, z2 - z1);
+      margin = Math.min(margin, ((x2 - x1) * (com[2] - z1) - (z2 - z1) * (com[0] - x1)) / len);
+    }
+  }
+  margin = Math.round(margin * 10) / 10;
+  const angle = margin <= 0 ? 0 : Math.round(Math.atan2(margin, Math.max(height, 0)) * 180 / Math.PI * 10) / 10;
+  return { footprint, floor, height, margin, angle, stable: angle >= TIP_ANGLE };
+}
+
+// Czech warning for an unstable model, null when it stands safely
+function stabilityWarning(st) {
+  if (!st || st.stable) return null;
+  if (st.margin <= 0) return 'Těžiště leží mimo půdorys — model se převrhne';
+  return `Těžiště je ${st.margin} mm od okraje půdorysu, převrhne se už při náklonu ${st.angle}°`;
+}
+
+// ═══════════════════════════════════════════════════════
+//  DEFLECTION
+// ═══════════════════════════════════════════════════════
+const GRAVITY = 9.81;     // m/s²
+const SAG_LIMIT = 300;    // allowed deflection = span / SAG_LIMIT (a cantilever counts twice its length)
+const MAX_SLOPE = 45;     // ° — steeper members are posts, not checked for bending
+const SUPPORT_LABELS = { span: 'prostě uložená', cantilever: 'konzola', full: 'podepřená celá' };
+
+// Bending member: a board whose local axis closest to vertical (down) is its depth, and spans
+// along the axes at least LINEAR_RATIO × longer than that depth. Returns { down: { axis, dir },
+// spans: [axes], cos } or null; dir is the side of the underside face, cos the slope factor.
+function bendingAxes(b) {
+  const { R } = boardTransform(b);
+  const size = [b.w, b.h, b.d];
+  const v = [0, 1, 2].map(k => Math.abs(R[1][k]));
+  const kv = v.indexOf(Math.max(...v));
+  if (v[kv] < Math.cos(MAX_SLOPE * Math.PI / 180)) return null;
+  const spans = [0, 1, 2].filter(k => k !== kv && size[k] >= LINEAR_RATIO * size[kv]);
+  if (!spans.length) return null;
+  return { down: { axis: kv, dir: R[1][kv] > 0 ? -1 : 1 }, spans, cos: v[kv] };
+}
+
+// Where other boards carry board b along its axis k: [from, to] in mm. Boards against the end
+// faces give the end points, boards under its underside give their overlap. A board b passes into
+// (a joint modelled as overlapping volumes) carries it where the overlap reaches b's underside.
+// Supports from below count for k only when they cover at least as large a share of the board's
+// width as of its length along k, so a batten along the back edge carries a shelf front to back,
+// not from side to side.
+function supportIntervals(b, boards, k, down) {
+  const size = [b.w, b.h, b.d], out = [];
+  const j = 3 - k - down.axis;
+  const under = (lo, hi) => {
+    if (down.dir < 0 ? lo[down.axis] > 0.01 : hi[down.axis] < size[down.axis] - 0.01) return;
+    const from = Math.max(0, lo[k]), to = Math.min(size[k], hi[k]);
+    if ((Math.min(size[j], hi[j]) - Math.max(0, lo[j])) / size[j] >= (to - from) / size[k]) out.push([from, to]);
+  };
+  for (const o of boards) {
+    if (o === b) continue;
+    const side = contactSide(b, o);
+    if (side?.axis === k) out.push(side.dir > 0 ? [size[k], size[k]] : [0, 0]);
+    else if (side?.axis === down.axis && side.dir === down.dir) {
+      const { min, max } = localBounds(b, boardVertices(o));
+      under(min, max);
+    } else if (!side) {
+      const box = overlapBox(b, o);
+      if (box) under([box.x, box.y, box.z], [box.x + box.w, box.y + box.h, box.z + box.d]);
+    }
+  }
+  out.sort((p, q) => p[0] - q[0]);
+  const merged = [];
+  for (const [lo, hi] of out) {
+    const last = merged[merged.length - 1];
+    if (last && lo <= last[1] + 0.01) last[1] = Math.max(last[1], hi);
+    else merged.push([lo, hi]);
+  }
+  return merged;
+}
+
+// Free lengths along an axis of the given length: the longest gap between two supports (simply
+// supported span) and the longest overhang past the outer ones (cantilever), 0 when there is none.
+// Returns { span, overhang } or null when nothing carries the board.
+function spanCase(supports, length) {
+  if (!supports.length) return null;
+  let span = 0;
+  for (let i = 1; i < supports.length; i++) span = Math.max(span, supports[i][0] - supports[i - 1][1]);
+  const overhang = Math.max(supports[0][0], length - supports[supports.length - 1][1]);
+  return { span, overhang: overhang > 0.01 ? overhang : 0 };
+}
+
+// Mid-span deflection of the horizontal boards under their own weight plus `load` (kg, board or
+// group default) spread evenly along the span. Simply supported: 5qL⁴ / 384EI, cantilever: qL⁴ / 8EI,
+// with I = b·t³ / 12 of the section across the span and E the material's modulus (N/mm²).
+// Returns { members: [{ id, name, span, type, load, modulus, sag, limit, ok }], unknown: [ids
+// of bending members without a modulus], unsupported: [ids resting on nothing] }.
+function deflectionCheck(boards, materials, groups = []) {
+  const groupLoads = Object.fromEntries(groups.filter(g => g.load).map(g => [g.name, g.load]));
+  const members = [], unknown = [], unsupported = [];
+  const floor = Math.min(...boards.map(b => boardAABB(b).min[1]));
+  for (const b of boards) {
+    const bend = bendingAxes(b);
+    // Boards lying flat on the floor do not bend
+    if (!bend || (bend.cos > 0.999 && boardAABB(b).min[1] <= floor + FLOOR_TOL)) continue;
+    const E = b.material && materials[b.material]?.modulus;
+    if (!E) { unknown.push(b.id); continue; }
+    const size = [b.w, b.h, b.d];
+    const load = (b.load ?? groupLoads[b.group] ?? 0) + (boardMass(b, materials) ?? 0);
+    const t = size[bend.down.axis];
+    // Per direction the worse of span and overhang governs. The board bends in the direction it
+    // is carried at both ends (the stiffer one when carried both ways); cantilevers only without one.
+    let worst = null;
+    for (const k of bend.spans) {
+      const supports = supportIntervals(b, boards, k, bend.down);
+      const c = spanCase(supports, size[k]);
+      if (!c) continue;
+      const q = load * GRAVITY * bend.cos / size[k];
+      const EI = E * size[3 - k - bend.down.axis] * t ** 3 / 12;
+      const cases = [
+        { type: 'span', span: c.span, sag: 5 * q * c.span ** 4 / 384 / EI, limit: c.span / SAG_LIMIT },
+        { type: 'cantilever', span: c.overhang, sag: q * c.overhang ** 4 / 8 / EI, limit: 2 * c.overhang / SAG_LIMIT },
+      ].filter(x => x.span > 0);
+      const gov = cases.reduce((a, x) => (!a || x.sag / x.limit > a.sag / a.limit ? x : a), null)
+        || { type: 'full', span: 0, sag: 0, limit: 0 };
+      gov.both = supports.length > 1 || !c.overhang;
+      if (!worst || (gov.both && !worst.both) || (gov.both === worst.both && gov.sag < worst.sag)) worst = gov;
+    }
+    if (!worst) { unsupported.push(b.id); continue; }
+    members.push({
+      id: b.id, name: b.name, span: Math.round(worst.span * 10) / 10, type: worst.type, load: Math.round(load * 10) / 10, modulus: E,
+      sag: Math.round(worst.sag * 100) / 100, limit: Math.round(worst.limit * 100) / 100, ok: worst.sag <= worst.limit,
+    });
+  }
+  return { members, unknown, unsupported };
+}
+
+// ═══════════════════════════════════════════════════════
+//  INTERFERENCE
+// ═══════════════════════════════════════════════════════
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+// Convex solid of a board in world coordinates: the face outline (a non-convex shape by its
+// convex hull) extruded through the thickness. Holes are ignored.
+// Returns { faces: [[x, y, z][]] counter-clockwise seen from outside, planes: [{ n, d }] with n·p ≤ d inside }.
+function boardSolidHull(b) {
+  const { R, t } = boardTransform(b);
+  const outline = convexHull(hasOutline(b) ? boardShape(b) : [[0, 0], [b.w, 0], [b.w, b.h], [0, b.h]]);
+  const world = (x, y, z) => matVec(R, [x, y, z]).map((v, i) => v + t[i]);
+  const back = outline.map(([x, y]) => world(x, y, 0)), front = outline.map(([x, y]) => world(x, y, b.d));
+  const faces = [[...back].reverse(), front];
+  for (let i = 0; i < outline.length; i++) {
+    const j = (i + 1) % outline.length;
+    faces.push([back[i], back[j], front[j], front[i]]);
+  }
+  const planes = faces.map(f => {
+    const n = cross3(sub3(f[1], f[0]), sub3(f[2], f[0]));
+    const len = Math.hypot(...n);
+    const u = n.map(v => v / len);
+    return { n: u, d: dot3(u, f[0]) };
+  });
+  return { faces, planes };
+}
+
+// Keep the part of a convex solid (faces) with n·p ≤ d; the cut is closed by a cap face
+function clipSolid(faces, { n, d }) {
+  const EPS = 1e-7;
+  const out = [], cap = [];
+  for (const f of faces) {
+    // A face lying in the plane is rebuilt by the cap
+    if (f.every(p => Math.abs(dot3(n, p) - d) <= EPS)) continue;
+    const poly = [];
+    for (let i = 0; i < f.length; i++) {
+      const p = f[i], q = f[(i + 1) % f.length];
+      const dp = dot3(n, p) - d, dq = dot3(n, q) - d;
+      if (dp <= EPS) poly.push(p);
+      if (Math.abs(dp) <= EPS) cap.push(p);
+      if ((dp < -EPS && dq > EPS) || (dp > EPS && dq < -EPS)) {
+        const x = p.map((v, k) => v + (q[k] - v) * dp / (dp - dq));
+        poly.push(x);
+        cap.push(x);
+      }
+    }
+    if (poly.length >= 3) out.push(poly);
+  }
+  // Cap points sorted around their centre, counter-clockwise seen along +n
+  const pts = cap.filter((p, i) => cap.findIndex(q => Math.hypot(...sub3(p, q)) < 1e-6) === i);
+  if (pts.length >= 3 && out.length) {
+    const c = [0, 1, 2].map(k => pts.reduce((s, p) => s + p[k], 0) / pts.length);
+    const u = sub3(pts[0], c), v = cross3(n, u);
+    out.push(pts.map(p => [p, Math.atan2(dot3(sub3(p, c), v), dot3(sub3(p, c), u))])
+      .sort((a, b) => a[1] - b[1]).map(([p]) => p));
+  }
+  return out;
+}
+
+// Volume (mm³) enclosed by closed faces oriented outwards
+function solidVolume(faces) {
+  if (!faces.length) return 0;
+  const r = faces[0][0];
+  let v = 0;
+  for (const f of faces)
+    for (let i = 1; i + 1 < f.length; i++)
+      v += dot3(sub3(f[0], r), cross3(sub3(f[i], r), sub3(f[i + 1], r)));
+  return v / 6;
+}
+
+// Volumetric overlaps between boards. Touching faces are fine: the overlap region has to be
+// thicker than `tol` (mm) across every face direction of both boards to count. Rotated and
+// from/to boards and cut outlines are exact; shape outlines are taken by their convex hull and
+// holes are ignored. Pairs joined by a notch, lap or joint are skipped, their overlap is cut
+// away, and so are boards without a position. Returns [{ a, b, volume (mm³), depth (mm), faces }]
+// where faces are the overlap region in world coordinates.
+function findCollisions(boards, { tol = CONTACT_TOL } = {}) {
+  boards = boards.filter(b => b.hasPos);
+  const boxes = boards.map(b => boardAABB(b));
+  const solids = new Map();
+  const solid = i => solids.get(i) || solids.set(i, boardSolidHull(boards[i])).get(i);
+  const joined = (a, b) => (a.notches || []).some(n => n.with === b.id) || (b.notches || []).some(n => n.with === a.id);
+  const out = [];
+  for (let i = 0; i < boards.length; i++) {
+    for (let j = i + 1; j < boards.length; j++) {
+      const A = boxes[i], B = boxes[j];
+      if ([0, 1, 2].some(k => Math.min(A.max[k], B.max[k]) - Math.max(A.min[k], B.min[k]) <= tol)) continue;
+      if (joined(boards[i], boards[j])) continue;
+      let faces = solid(i).faces;
+      for (const p of solid(j).planes) { faces = clipSolid(faces, p); if (!faces.length) break; }
+      if (solidVolume(faces) < 1e-3) continue;
+      // Thinnest extent of the overlap along the face normals of either board
+      const pts = faces.flat();
+      const depth = Math.min(...[...solid(i).planes, ...solid(j).planes].map(({ n }) => {
+        const s = pts.map(p => dot3(n, p));
+        return Math.max(...s) - Math.min(...s);
+      }));
+      if (depth <= tol) continue;
+      out.push({ a: boards[i].id, b: boards[j].id, volume: Math.round(solidVolume(faces) * 10) / 10,
+        depth: Math.round(depth * 10) / 10, faces });
+    }
+  }
+  return out;
+}
+
+// Error-bar text for an overlap: Překrytí [a] × [b]: 5.8 cm³
+function collisionMessage(c) {
+  return `Překrytí [${c.a}] × [${c.b}]: ${formatVolume(c.volume)}`;
+}
+
+// ═══════════════════════════════════════════════════════
+//  CONTACTS & FASTENERS
+// ═══════════════════════════════════════════════════════
+// Part of a convex polygon with n·p ≤ d
+function clipPolygon(poly, { n, d }) {
+  const EPS = 1e-7;
+  const out = [];
+  for (let i = 0; i < poly.length; i++) {
+    const p = poly[i], q = poly[(i + 1) % poly.length];
+    const dp = dot3(n, p) - d, dq = dot3(n, q) - d;
+    if (dp <= EPS) out.push(p);
+    if ((dp < -EPS && dq > EPS) || (dp > EPS && dq < -EPS)) out.push(p.map((v, k) => v + (q[k] - v) * dp / (dp - dq)));
+  }
+  return out;
+}
+
+// Part of a convex polygon inside a convex face running counter-clockwise around n
+function clipToFace(poly, face, n) {
+  for (let i = 0; i < face.length && poly.length >= 2; i++) {
+    const out = cross3(sub3(face[(i + 1) % face.length], face[i]), n);
+    const len = Math.hypot(...out);
+    if (len < 1e-9) continue;
+    const m = out.map(v => v / len);
+    poly = clipPolygon(poly, { n: m, d: dot3(m, face[i]) });
+  }
+  return poly;
+}
+
+// Sides of the smallest rectangle around a planar convex polygon with normal n: [long, short]
+function polygonExtent(poly, n) {
+  let best = null;
+  for (let i = 0; i < poly.length; i++) {
+    const e = sub3(poly[(i + 1) % poly.length], poly[i]);
+    const len = Math.hypot(...e);
+    if (len < 1e-6) continue;
+    const u = e.map(v => v / len), v = cross3(n, u);
+    const span = axis => { const s = poly.map(p => dot3(axis, p)); return Math.max(...s) - Math.min(...s); };
+    const sides = [span(u), span(v)].sort((a, b) => b - a);
+    if (!best || sides[0] * sides[1] < best[0] * best[1]) best = sides;
+  }
+  return best || [0, 0];
+}
+
+// Largest touching region of two board solids (boardSolidHull): a face of a and an opposite face
+// of b no more than reach apart (or overlapping by up to tol), b's face moved onto a's plane and
+// the two clipped. Returns { region, normal (a → b), gap } or null.
+function touchingFaces(A, B, tol, reach = tol) {
+  let best = null;
+  A.planes.forEach(({ n, d }, p) => {
+    B.planes.forEach((pb, q) => {
+      if (dot3(n, pb.n) > -1 + 1e-6) return;
+      const gap = -pb.d - d;
+      if (gap < -tol || gap > reach) return;
+      const fb = B.faces[q].map(v => v.map((c, k) => c - n[k] * gap));
+      const region = clipToFace(A.faces[p], fb, pb.n);
+      if (region.length < 3) return;
+      let area = 0;
+      for (let i = 1; i + 1 < region.length; i++) area += dot3(n, cross3(sub3(region[i], region[0]), sub3(region[i + 1], region[0]))) / 2;
+      if (!best || area > best.area) best = { region, normal: n, gap, area };
+    });
+  });
+  return best;
+}
+
+// Edge of solid B lying on a face of solid A, like a shelf corner against a sloping leg: B stays
+// outside A's face plane (up to tol) and its vertices within reach of it form a line, not a face.
+// Returns { length, normal (A → B), gap } or null.
+function touchingEdge(A, B, tol, reach = tol) {
+  const pts = B.faces.flat();
+  let best = null;
+  A.planes.forEach(({ n, d }, p) => {
+    const s = pts.map(v => dot3(n, v) - d);
+    if (s.some(v => v < -tol)) return;
+    const near = pts.filter((_, i) => s[i] <= reach);
+    if (near.length < 2) return;
+    // Ends of the line: the point farthest from any other, then the one farthest from it
+    const farthest = u => near.reduce((f, v) => Math.hypot(...sub3(u, v)) > Math.hypot(...sub3(u, f)) ? v : f);
+    const ends = [farthest(near[0])];
+    ends.push(farthest(ends[0]));
+    const far = Math.hypot(...sub3(ends[1], ends[0]));
+    if (far <= tol) return;
+    const dir = sub3(ends[1], ends[0]).map(v => v / far);
+    if (near.some(v => Math.hypot(...cross3(dir, sub3(v, ends[0]))) > tol)) return;
+    const flat = ends.map(v => v.map((c, k) => c - n[k] * (dot3(n, v) - d)));
+    const seg = clipToFace(flat, A.faces[p], n);
+    if (seg.length < 2) return;
+    const length = Math.max(...seg.map(u => Math.max(...seg.map(v => Math.hypot(...sub3(u, v))))));
+    if (length > tol && (!best || length > best.length)) best = { length, normal: n, gap: Math.min(...s) };
+  });
+  return best;
+}
+
+// Whether a world direction crosses the board's thickness, i.e. hits its broad face, not an edge
+function acrossThickness(b, n, materials) {
+  const { R } = boardTransform(b);
+  const along = [0, 1, 2].map(k => Math.abs(R[0][k] * n[0] + R[1][k] * n[1] + R[2][k] * n[2]));
+  return along.indexOf(Math.max(...along)) === thicknessAxis([b.w, b.h, b.d], materials[b.material]?.thickness);
+}
+
+// Contact graph of the placed boards: one edge per touching pair with the joint type (face to face,
+// edge to face, edge to edge — see CONTACT_TYPES), the length and width of the contact (sides of the
+// smallest rectangle around it, mm) and its area (mm²). Faces count as touching up to `tol` apart
+// and the contact has to be wider than that. Boards joined by a notch, lap or joint get the type of
+// that machining with the size of its pocket instead. Outlines are taken by their convex hull.
+// With `gap` above tol, faces up to gap apart come in the same pass as near misses (near: true).
+// Returns [{ a, b, type, length, width, area, gap, normal (a → b, null for machining), near }].
+function contactGraph(boards, materials = {}, { tol = CONTACT_TOL, gap = tol } = {}) {
+  const reach = Math.max(tol, gap);
+  boards = boards.filter(b => b.hasPos);
+  const boxes = boards.map(b => boardAABB(b));
+  const solids = new Map();
+  const solid = i => solids.get(i) || solids.set(i, boardSolidHull(boards[i])).get(i);
+  const round = v => Math.round(v * 10) / 10 || 0;
+  const out = [];
+  for (let i = 0; i < boards.length; i++) {
+    for (let j = i + 1; j < boards.length; j++) {
+      const A = boxes[i], B = boxes[j];
+      if ([0, 1, 2].some(k => Math.min(A.max[k], B.max[k]) - Math.max(A.min[k], B.min[k]) < -reach)) continue;
+      const a = boards[i], b = boards[j];
+      const op = (a.notches || []).find(n => n.with === b.id) || (b.notches || []).find(n => n.with === a.id);
+      if (op) {
+        const [l, w] = [op.w, op.h, op.d].sort((x, y) => y - x);
+        out.push({ a: a.id, b: b.id, type: op.joint || (op.lap ? 'lap' : 'notch'), length: round(l), width: round(w),
+          area: Math.round(l * w), gap: 0, normal: null, near: false });
+        continue;
+      }
+      const c = touchingFaces(solid(i), solid(j), tol, reach);
+      const [length, width] = c ? polygonExtent(c.region, c.normal) : [0, 0];
+      if (c && width > tol) {
+        const broad = [acrossThickness(a, c.normal, materials), acrossThickness(b, c.normal, materials)].filter(Boolean).length;
+        out.push({ a: a.id, b: b.id, type: ['butt', 'edge', 'face'][broad], length: round(length), width: round(width),
+          area: Math.round(c.area), gap: round(c.gap), normal: c.normal, near: c.gap > tol });
+        continue;
+      }
+      // An edge along the other board's face: the type follows that face alone
+      const ea = touchingEdge(solid(i), solid(j), tol, reach), eb = touchingEdge(solid(j), solid(i), tol, reach);
+      const e = ea && (!eb || ea.length >= eb.length) ? { ...ea, on: a } : eb && { ...eb, on: b, normal: eb.normal.map(v => -v) };
+      if (!e) continue;
+      out.push({ a: a.id, b: b.id, type: acrossThickness(e.on, e.normal, materials) ? 'edge' : 'butt', length: round(e.length),
+        width: 0, area: 0, gap: round(e.gap), normal: e.normal, near: e.gap > tol });
+    }
+  }
+  return out;
+}
+
+// Fasteners of the joints from the `fastener` rules: each rule whose types include the joint's adds
+// its qty, or one piece per `every` mm of joint length (at least `min`, default 1). Pieces are
+// counted in the group of the joint's first board. Near misses of the contact graph are left out.
+// Returns { joints: [{ ...contact, items: [{ name, qty }] }], items: [{ name, qty, price, joints }],
+// hardware: [{ name, qty, price, group }] } — hardware is ready for projectCost.
+function fastenerList(contacts, rules, boards = []) {
+  const groups = new Map(boards.map(b => [b.id, b.group]));
+  const items = new Map(), hardware = new Map();
+  const joints = contacts.filter(c => !c.near).map(c => {
+    const parts = [];
+    for (const r of rules) {
+      if (!r.types.includes(c.type)) continue;
+      const qty = r.qty ?? Math.max(r.min ?? 1, Math.ceil(c.length / r.every - 1e-9));
+      if (!qty) continue;
+      parts.push({ name: r.name, qty });
+      const key = `${r.name}|${r.price?.value ?? ''}`;
+      if (!items.has(key)) items.set(key, { name: r.name, qty: 0, price: r.price, joints: 0 });
+      items.get(key).qty += qty;
+      items.get(key).joints++;
+      const group = groups.get(c.a) ?? null, hwKey = `${key}|${group}`;
+      if (!hardware.has(hwKey)) hardware.set(hwKey, { name: r.name, qty: 0, price: r.price, group });
+      hardware.get(hwKey).qty += qty;
+    }
+    return { ...c, items: parts };
+  });
+  return { joints, items: [...items.values()], hardware: [...hardware.values()] };
+}
+
+// ═══════════════════════════════════════════════════════
+//  SUPPORT
+// ═══════════════════════════════════════════════════════
+const NEAR_MISS = 5;   // mm — gaps up to this between boards that do not touch are reported
+
+// Support analysis: boards standing on the lowest level (floor or footings) carry the boards they
+// touch or overlap (findCollisions pairs), and so on through the contact graph. Boards the walk
+// does not reach float. The near misses of the graph (contactGraph with `gap`) are gaps likely
+// meant to touch.
+// Returns { floor, grounded: [ids], floating: [{ id, near: { id, gap } | null }], nearMisses: [{ a, b, gap }] }
+// with near misses between supported boards only; a floating board names its closest one.
+function supportCheck(boards, contacts, overlaps = []) {
+  boards = boards.filter(b => b.hasPos);
+  if (!boards.length) return { floor: 0, grounded: [], floating: [], nearMisses: [] };
+  const bottom = new Map(boards.map(b => [b.id, boardAABB(b).min[1]]));
+  const floor = Math.min(...bottom.values());
+  const grounded = boards.filter(b => bottom.get(b.id) <= floor + FLOOR_TOL).map(b => b.id);
+
+  const touching = new Map(boards.map(b => [b.id, []]));
+  for (const c of [...contacts.filter(c => !c.near), ...overlaps]) {
+    if (!touching.has(c.a) || !touching.has(c.b)) continue;
+    touching.get(c.a).push(c.b);
+    touching.get(c.b).push(c.a);
+  }
+  const supported = new Set(grounded);
+  const queue = [...grounded];
+  while (queue.length) {
+    for (const id of touching.get(queue.shift())) {
+      if (!supported.has(id)) { supported.add(id); queue.push(id); }
+    }
+  }
+
+  const near = contacts.filter(c => c.near && touching.has(c.a) && touching.has(c.b) && !touching.get(c.a).includes(c.b));
+  const closest = id => near.filter(c => c.a === id || c.b === id)
+    .reduce((best, c) => (!best || c.gap < best.gap ? { id: c.a === id ? c.b : c.a, gap: c.gap } : best), null);
+  return {
+    floor: Math.round(floor * 10) / 10 || 0,
+    grounded,
+    floating: boards.filter(b => !supported.has(b.id)).map(b => ({ id: b.id, near: closest(b.id) })),
+    nearMisses: near.filter(c => supported.has(c.a) && supported.has(c.b)).map(c => ({ a: c.a, b: c.b, gap: c.gap })),
+  };
+}
+
+// Error-bar text for a floating board: Bez podpory [p1] (mezera 2 mm k [lt])
+function floatingMessage(f) {
+  return `Bez podpory [${f.id}]` + (f.near ? ` (mezera ${f.near.gap} mm k [${f.near.id}])` : '');
+}
+
+// ═══════════════════════════════════════════════════════
+//  UNIT FORMATTING
+// ═══════════════════════════════════════════════════════
+const UNIT_DECIMALS = { mm: 1, cm: 2, m: 4 };
+
+// Inches as a whole + fraction rounded to 1/16: 31.5 → "31 1/2"
+function fractionalInches(inches) {
+  const sixteenths = Math.round(Math.abs(inches) * 16);
+  const whole = Math.floor(sixteenths / 16);
+  let num = sixteenths % 16, den = 16;
+  while (num && num % 2 === 0) { num /= 2; den /= 2; }
+  const sign = inches < 0 && sixteenths ? '-' : '';
+  if (!num) return sign + whole;
+  return sign + (whole ? `${whole} ${num}/${den}` : `${num}/${den}`);
+}
+
+// Length in mm for display in unit: 800 → "80" / "80 cm" (withUnit), 800 → 31 1/2", 800 → 2' 7 1/2"
+function formatLength(mm, unit = 'mm', withUnit = false) {
+  if (unit === 'in') return fractionalInches(mm / UNITS.in) + '"';
+  if (unit === 'ft') {
+    const total = Math.round(Math.abs(mm) / UNITS.in * 16) / 16;
+    const feet = Math.floor(total / 12);
+    const sign = mm < 0 && total ? '-' : '';
+    return `${sign}${feet}' ${fractionalInches(total - feet * 12)}"`;
+  }
+  const f = 10 ** (UNIT_DECIMALS[unit] ?? 1);
+  const v = String(Math.round(mm / (UNITS[unit] || 1) * f) / f || 0);
+  return withUnit ? `${v} ${unit}` : v;
+}
+
+// Length as a DSL literal in unit (edit panel): 800 → "80cm", "31 1/2in"
+function formatLengthLiteral(mm, unit = 'mm') {
+  if (unit === 'in' || unit === 'ft') return fractionalInches(mm / UNITS.in) + 'in';
+  return formatLength(mm, unit) + unit;
+}
+
+// Price in whole Czech crowns, thousands split by non-breaking spaces: 12 345 Kč
+function formatPrice(v) {
+  return `${Math.round(v).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '\u00a0')}\u00a0Kč`;
+}
+
+// Volume from mm³: cm³ with one decimal, dm³ from 1000 cm³ on
+function formatVolume(mm3) {
+  return mm3 >= 1e6 ? `${(mm3 / 1e6).toFixed(2)} dm³` : `${(mm3 / 1e3).toFixed(1)} cm³`;
+}
+
+// Mass in kg, one decimal: 48.3 kg
+function formatMass(kg) {
+  return `${kg.toFixed(1)} kg`;
+}
+
+// Area in m² for display; imperial units show ft²
+function formatArea(m2, unit = 'mm', digits = 3) {
+  if (unit === 'in' || unit === 'ft') return `${(m2 * 1e6 / UNITS.ft ** 2).toFixed(digits)} ft²`;
+  return `${m2.toFixed(digits)} m²`;
+}
+
 // ═══════════════════════════════════════════════════════
 //  HASH ENCODING
 // ═══════════════════════════════════════════════════════
@@ -1216,8 +3706,45 @@ function decodeHash(str) {
 // ═══════════════════════════════════════════════════════
 //  2D PROJECTIONS
 // ═══════════════════════════════════════════════════════
+// Screen coordinates of a world point in the given projection (matches projectBoard)
+function projectPoint([x, y, z], proj) {
+  switch(proj) {
+    case 'front': return [z, y];
+    case 'back':  return [-z, y];
+    case 'left':  return [x, y];
+    case 'right': return [-x, y];
+    case 'top':   return [x, z];
+    case 'bottom':return [x, -z];
+  }
+}
+
+// Convex hull (monotone chain), counter-clockwise
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0]-o[0])*(b[1]-o[1]) - (a[1]-o[1])*(b[0]-o[0]);
+  const lower = [], upper = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length-2], lower[lower.length-1], p) <= 1e-9) lower.pop();
+    lower.push(p);
+  }
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length-2], upper[upper.length-1], p) <= 1e-9) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
 function projectBoard(b, proj) {
   const x = b.x ?? 0, y = b.y ?? 0, z = b.z ?? 0;
+  if (b.rot || b.beam) {
+    // 3D-rotated board or beam: silhouette polygon, hull points relative to (lx, ly)
+    const pts = convexHull(boardVertices(b).map(p => projectPoint(p, proj)));
+    const lx = Math.min(...pts.map(p => p[0])), ly = Math.min(...pts.map(p => p[1]));
+    const lw = Math.max(...pts.map(p => p[0])) - lx, lh = Math.max(...pts.map(p => p[1])) - ly;
+    return { lx, ly, lw, lh, hull: pts.map(([px, py]) => [px - lx, py - ly]) };
+  }
   switch(proj) {
     case 'front': return { lx: z,      ly: y, lw: b.d, lh: b.h };
     case 'back':  return { lx: -z-b.d, ly: y, lw: b.d, lh: b.h };
@@ -1228,6 +3755,17 @@ function projectBoard(b, proj) {
   }
 }
 
+// Board axes (0 = w, 1 = h, 2 = d) running right and up in each 2D projection and list-card view
+const PROJ_AXES = { front: [2, 1], back: [2, 1], left: [0, 1], right: [0, 1], top: [0, 2], bottom: [0, 2] };
+const VIEW_AXES = { f: [0, 1], s: [2, 1], t: [0, 2] };
+
+// Direction of grain hatching in a view with the given axes: 'h' (horizontal lines),
+// 'v' (vertical) or null when the board has no grain or it points out of the view
+function grainInView(b, axes) {
+  const g = b.grain ? 'whd'.indexOf(b.grain) : -1;
+  return g === axes[0] ? 'h' : g === axes[1] ? 'v' : null;
+}
+
 function projAxisLabels(proj) {
   switch(proj) {
     case 'front': case 'back': return ['→ Z','↑ Y'];
@@ -1259,33 +3797,70 @@ function depthSort(layout, proj) {
 // ═══════════════════════════════════════════════════════
 //  BOARD SOURCE EDITING
 // ═══════════════════════════════════════════════════════
-function reconstructBoardLine(b) {
-  let line = `board[${b.id}] ${b.w} x ${b.h} x ${b.d} "${b.name}"`;
-  if (b.fromTo) {
-    line += `\n  from ${b.fromTo.x1},${b.fromTo.y1} to ${b.fromTo.x2},${b.fromTo.y2}`;
-    if (b.z != null && b.z !== 0) line += ` z ${b.z}`;
+// Board object back to DSL; a beam keeps its profile (d x h) and 3D endpoints.
+// Lengths are stored in mm: in a document with other units they get an mm suffix,
+// so the line reads back as the same board.
+function reconstructBoardLine(b, units = 'mm') {
+  const len = v => units === 'mm' ? `${v}` : `${v}mm`;
+  const pt = (...vs) => vs.map(len).join(',');
+  let line = `board[${b.id}] ${len(b.w)} x ${len(b.h)} x ${len(b.d)} "${b.name}"`;
+  if (b.beam) {
+    const { x1, y1, z1, x2, y2, z2, roll } = b.beam;
+    line = `beam[${b.id}] ${len(b.d)} x ${len(b.h)}${b.name !== b.id ? ` "${b.name}"` : ''}`
+      + `\n  from ${pt(x1, y1, z1)} to ${pt(x2, y2, z2)}${roll ? ` roll ${roll}` : ''}`;
+  } else if (b.fromTo) {
+    line += `\n  from ${pt(b.fromTo.x1, b.fromTo.y1)} to ${pt(b.fromTo.x2, b.fromTo.y2)}`;
+    if (b.z != null && b.z !== 0) line += ` z ${len(b.z)}`;
   } else if (b.hasPos) {
-    line += `\n  at ${b.x}, ${b.y}, ${b.z}`;
+    line += `\n  at ${len(b.x)}, ${len(b.y)}, ${len(b.z)}`;
   }
   if (b.cuts) {
     const parts = [];
-    if (b.cuts.left !== null) parts.push(`left ${b.cuts.left}`);
-    if (b.cuts.right !== null) parts.push(`right ${b.cuts.right}`);
-    if (b.cuts.top !== null) parts.push(`top ${b.cuts.top}`);
-    if (b.cuts.bottom !== null) parts.push(`bottom ${b.cuts.bottom}`);
+    if (b.cuts.left !== null) parts.push(`left ${len(b.cuts.left)}`);
+    if (b.cuts.right !== null) parts.push(`right ${len(b.cuts.right)}`);
+    if (b.cuts.top !== null) parts.push(`top ${len(b.cuts.top)}`);
+    if (b.cuts.bottom !== null) parts.push(`bottom ${len(b.cuts.bottom)}`);
     if (parts.length) line += `\n  cut ${parts.join(' ')}`;
   }
   if (b.view) line += `\n  view ${b.view}`;
   if (b.color) line += `\n  color ${b.color}`;
+  if (b.material) line += `\n  material ${b.material}`;
+  if (b.grain) line += `\n  grain ${b.grain}`;
+  if (b.density) line += `\n  density ${b.density}`;
+  if (b.load) line += `\n  load ${b.load}kg`;
+  if (b.shape) line += `\n  shape ${b.shape.map(p => pt(...p)).join('; ')}`;
+  for (const o of b.holes || []) {
+    line += o.type === 'rect' ? `\n  hole rect ${pt(o.x, o.y)} ${pt(o.w, o.h)}` : `\n  hole circle ${pt(o.cx, o.cy)} ${len(o.r)}`;
+  }
+  const bands = new Map();
+  for (const e of b.edges || []) {
+    const key = `${len(e.thickness)} "${e.name}"`;
+    bands.set(key, [...(bands.get(key) || []), e.side]);
+  }
+  for (const [key, sides] of bands) line += `\n  edge ${sides.join(',')} ${key}`;
+  // Counterparts of another board's lap and joint pockets are not written back
+  for (const n of b.notches || []) {
+    if (!n.mirror && !n.joint) line += n.lap ? `\n  lap with [${n.with}]` : `\n  notch [${n.with}]`;
+  }
+  if (b.rot) {
+    line += `\n  rotate ${b.rot.x}, ${b.rot.y}, ${b.rot.z}`;
+    if (b.rot.pivot.some(v => v)) line += ` pivot ${b.rot.pivot.map(len).join(', ')}`;
+  }
   return line;
 }
 
-// Find start/end line indices for a board block in source
-function findBoardRange(sourceText, boardId) {
+// Find start/end line indices for a board block in source.
+// Optional line (1-based) picks the right block when a template id repeats;
+// a board without an id (boardId '') is found by its line only.
+function findBoardRange(sourceText, boardId, line) {
   const lines = sourceText.split('\n');
-  const boardRe = new RegExp(`^board\\[${boardId}\\]\\s`, 'i');
+  const escaped = String(boardId).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const boardRe = boardId === '' ? /^(?:board|beam)\s/i : new RegExp(`^(?:board|beam)\\[${escaped}\\]\\s`, 'i');
   let startIdx = -1;
-  for (let i = 0; i < lines.length; i++) {
+  if (line && lines[line - 1] !== undefined && boardRe.test(lines[line - 1].trim())) {
+    startIdx = line - 1;
+  }
+  for (let i = 0; i < lines.length && startIdx === -1 && boardId !== ''; i++) {
     if (boardRe.test(lines[i].trim())) { startIdx = i; break; }
   }
   if (startIdx === -1) return null;
@@ -1294,7 +3869,8 @@ function findBoardRange(sourceText, boardId) {
   for (let i = startIdx + 1; i < lines.length; i++) {
     const raw = lines[i];
     const trimmed = raw.trim();
-    if (/^[ \t]+/.test(raw) && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')) {
+    if (/^[ \t]+/.test(raw) && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')
+        && !STATEMENT_RE.test(trimmed)) {
       endIdx = i;
     } else {
       break;
@@ -1303,14 +3879,15 @@ function findBoardRange(sourceText, boardId) {
   return { startIdx, endIdx, lines };
 }
 
-function extractBoardSource(sourceText, boardId) {
-  const range = findBoardRange(sourceText, boardId);
+function extractBoardSource(sourceText, boardId, line) {
+  const range = findBoardRange(sourceText, boardId, line);
   if (!range) return '';
   return range.lines.slice(range.startIdx, range.endIdx + 1).join('\n');
 }
 
-function editBoardInSource(sourceText, boardId, newBoardOrText) {
-  const range = findBoardRange(sourceText, boardId);
+// A board object is written in the document's units (units directive)
+function editBoardInSource(sourceText, boardId, newBoardOrText, line) {
+  const range = findBoardRange(sourceText, boardId, line);
   if (!range) return sourceText;
   const { startIdx, endIdx, lines } = range;
 
@@ -1318,8 +3895,12 @@ function editBoardInSource(sourceText, boardId, newBoardOrText) {
   if (typeof newBoardOrText === 'string') {
     newLines = newBoardOrText.split('\n');
   } else {
-    newLines = reconstructBoardLine(newBoardOrText).split('\n');
+    const units = (sourceText.match(/^\s*units\s+(\w+)/im) || [])[1] || 'mm';
+    newLines = reconstructBoardLine(newBoardOrText, units.toLowerCase()).split('\n');
   }
+  // Keep the block's indentation (boards inside repeat blocks)
+  const indent = lines[startIdx].match(/^[ \t]*/)[0];
+  if (indent) newLines = newLines.map(l => indent + l);
   lines.splice(startIdx, endIdx - startIdx + 1, ...newLines);
   return lines.join('\n');
 }
@@ -1330,27 +3911,33 @@ function editBoardInSource(sourceText, boardId, newBoardOrText) {
 function parseBoardSourceRaw(rawText) {
   if (!rawText || !rawText.trim()) return null;
   const rawLines = rawText.split('\n');
-  let joined = rawLines[0];
+  let joined = rawLines[0].trim();
   for (let i = 1; i < rawLines.length; i++) {
     const raw = rawLines[i];
     const trimmed = raw.trim();
-    if (/^[ \t]+/.test(raw) && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')) {
+    if (/^[ \t]+/.test(raw) && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')
+        && !STATEMENT_RE.test(trimmed)) {
       joined += ' ' + trimmed;
     }
   }
 
-  const re = /^board(?:\[([a-zA-Z_]\w*)\])?\s+(.+?)\s+"([^"]+)"\s*(.*?)$/i;
+  // Beams have a profile, an optional name and a 3D from/to
+  const beam = /^beam\b/i.test(joined);
+  const re = beam ? /^beam(?:\[([a-zA-Z_][\w{}+\-]*)\])?\s+(.+?)(?:\s+"([^"]+)")?\s+(from\b.*)$/i
+    : /^board(?:\[([a-zA-Z_][\w{}+\-]*)\])?\s+(.+?)\s+"([^"]+)"\s*(.*?)$/i;
   const m = joined.match(re);
   if (!m) return null;
+  const keywords = beam ? ['roll', ...BOARD_KEYWORDS] : BOARD_KEYWORDS;
 
   const result = {
-    id: m[1] || '', name: m[3],
+    id: m[1] || '', name: m[3] || '',
     w: '', h: '', d: '',
     posType: 'none', x: '', y: '', z: '',
     x1: '', y1: '', x2: '', y2: '', fz: '',
     cutLeft: '', cutRight: '', cutTop: '', cutBottom: '',
-    view: '', color: ''
+    view: '', color: '', rotate: '', material: '', grain: '', density: '', load: '', holes: [], shape: '', notches: [], edges: []
   };
+  if (beam) Object.assign(result, { beam: true, z1: '', z2: '', roll: '' });
 
   // Dimensions
   const dimRaw = m[2].trim();
@@ -1374,16 +3961,21 @@ function parseBoardSourceRaw(rawText) {
     parts.push(cur.trim());
     return parts;
   }
-  function findKw(str, kw) {
-    const re2 = new RegExp('\\b' + kw + '\\b', 'gi');
+  function findKwAll(str, kw) {
+    const re2 = new RegExp('(?<![$\\w])' + kw + '\\b', 'gi');
+    const found = [];
     let m2;
     while ((m2 = re2.exec(str)) !== null) {
       const before = str.slice(0, m2.index);
       let depth = 0;
       for (const ch of before) { if (ch === '{' || ch === '(') depth++; else if (ch === '}' || ch === ')') depth--; }
-      if (depth === 0) return m2.index;
+      if (depth === 0) found.push(m2.index);
     }
-    return -1;
+    return found;
+  }
+  function findKw(str, kw) {
+    const found = findKwAll(str, kw);
+    return found.length ? found[0] : -1;
   }
   function findNextKw(str, keywords) {
     let best = -1, bestKw = null;
@@ -1409,7 +4001,7 @@ function parseBoardSourceRaw(rawText) {
       result.y1 = fromCoords[1] || '';
 
       const afterTo = afterFrom.slice(toPos + 2).trim();
-      const nextKw = findNextKw(afterTo, ['z', 'cut', 'view', 'color']);
+      const nextKw = findNextKw(afterTo, beam ? keywords : ['z', ...keywords]);
       let toStr, afterToRest;
       if (nextKw.pos !== -1) {
         toStr = afterTo.slice(0, nextKw.pos).trim();
@@ -1418,12 +4010,16 @@ function parseBoardSourceRaw(rawText) {
       const toCoords = splitCoords(toStr);
       result.x2 = toCoords[0] || '';
       result.y2 = toCoords[1] || '';
+      if (beam) {
+        result.z1 = fromCoords[2] || '';
+        result.z2 = toCoords[2] || '';
+      }
 
       rest = afterToRest;
-      const zPos = findKw(rest, 'z');
+      const zPos = beam ? -1 : findKw(rest, 'z');
       if (zPos !== -1 && rest.slice(0, zPos).trim() === '') {
         const afterZ = rest.slice(zPos + 1).trim();
-        const nk = findNextKw(afterZ, ['cut', 'view', 'color']);
+        const nk = findNextKw(afterZ, BOARD_KEYWORDS);
         if (nk.pos !== -1) { result.fz = afterZ.slice(0, nk.pos).trim(); rest = afterZ.slice(nk.pos).trim(); }
         else { result.fz = afterZ.trim(); rest = ''; }
       }
@@ -1431,7 +4027,7 @@ function parseBoardSourceRaw(rawText) {
   } else if (atPos !== -1) {
     result.posType = 'at';
     const afterAt = rest.slice(atPos + 2).trim();
-    const nextKw = findNextKw(afterAt, ['cut', 'view', 'color']);
+    const nextKw = findNextKw(afterAt, BOARD_KEYWORDS);
     let atStr;
     if (nextKw.pos !== -1) { atStr = afterAt.slice(0, nextKw.pos).trim(); rest = afterAt.slice(nextKw.pos).trim(); }
     else { atStr = afterAt; rest = ''; }
@@ -1441,11 +4037,10 @@ function parseBoardSourceRaw(rawText) {
     result.z = coords[2] || '';
   }
 
-  // Cut / view / color
+  // Cut / view / color / rotate / material / hole / shape / notch / edge / grain / density / load / roll
   const kwEntries = [];
-  for (const kw of ['cut', 'view', 'color']) {
-    const pos = findKw(rest, kw);
-    if (pos !== -1) kwEntries.push({ kw, pos });
+  for (const kw of keywords) {
+    for (const pos of findKwAll(rest, kw)) kwEntries.push({ kw, pos });
   }
   kwEntries.sort((a, b) => a.pos - b.pos);
   for (let ki = 0; ki < kwEntries.length; ki++) {
@@ -1472,6 +4067,17 @@ function parseBoardSourceRaw(rawText) {
         if (colorMatch) result.color = colorMatch[1];
         break;
       }
+      case 'rotate': result.rotate = val; break;
+      case 'material': result.material = val; break;
+      case 'hole': result.holes.push(val); break;
+      case 'shape': result.shape = val; break;
+      case 'notch':
+      case 'lap': result.notches.push(`${kw} ${val}`); break;
+      case 'edge': result.edges.push(val); break;
+      case 'grain': result.grain = val; break;
+      case 'density': result.density = val; break;
+      case 'load': result.load = val; break;
+      case 'roll': result.roll = val; break;
     }
   }
 
@@ -1479,8 +4085,13 @@ function parseBoardSourceRaw(rawText) {
 }
 
 function reconstructBoardLineRaw(f) {
-  let line = `board[${f.id}] ${f.w} x ${f.h} x ${f.d} "${f.name}"`;
-  if (f.posType === 'from') {
+  const id = f.id ? `[${f.id}]` : '';
+  let line = f.beam ? `beam${id} ${f.w} x ${f.h}${f.name ? ` "${f.name}"` : ''}`
+    : `board${id} ${f.w} x ${f.h} x ${f.d} "${f.name}"`;
+  if (f.beam) {
+    line += `\n  from ${f.x1},${f.y1},${f.z1} to ${f.x2},${f.y2},${f.z2}`;
+    if (f.roll) line += ` roll ${f.roll}`;
+  } else if (f.posType === 'from') {
     line += `\n  from ${f.x1},${f.y1} to ${f.x2},${f.y2}`;
     if (f.fz) line += ` z ${f.fz}`;
   } else if (f.posType === 'at') {
@@ -1494,6 +4105,15 @@ function reconstructBoardLineRaw(f) {
   if (cutParts.length) line += `\n  cut ${cutParts.join(' ')}`;
   if (f.view) line += `\n  view ${f.view}`;
   if (f.color) line += `\n  color ${f.color}`;
+  if (f.rotate) line += `\n  rotate ${f.rotate}`;
+  if (f.material) line += `\n  material ${f.material}`;
+  if (f.grain) line += `\n  grain ${f.grain}`;
+  if (f.density) line += `\n  density ${f.density}`;
+  if (f.load) line += `\n  load ${f.load}`;
+  if (f.shape) line += `\n  shape ${f.shape}`;
+  for (const hole of f.holes || []) line += `\n  hole ${hole}`;
+  for (const edge of f.edges || []) line += `\n  edge ${edge}`;
+  for (const notch of f.notches || []) line += `\n  ${notch}`;
   return line;
 }
 
@@ -1503,10 +4123,19 @@ function reconstructBoardLineRaw(f) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     DEFAULT_CODE, EXAMPLES, AUTO_COLORS, DSLParser, parseDSL,
-    darken, boardCount, hasCuts, boardShape, listViewDims,
+    darken, boardCount, jointCount, sheetCount, hasCuts, hasOutline, boardShape, holeArea, polygonArea, shapeOutline, boardArea, listViewDims, materialUsage,
     VIEW_LABELS, autoDetectViews, listViewDimsMulti,
-    encodeHash, decodeHash, projectBoard, projAxisLabels,
+    encodeHash, decodeHash, projectBoard, projAxisLabels, PROJ_AXES, VIEW_AXES, grainInView,
     depthSort, reconstructBoardLine, extractBoardSource, editBoardInSource,
-    parseBoardSourceRaw, reconstructBoardLineRaw,
+    parseBoardSourceRaw, reconstructBoardLineRaw, interpolateIndex, fileResolver,
+    UNITS, formatLength, formatLengthLiteral, formatArea, formatPrice,
+    rotationMatrix, boardTransform, boardVertices, boardAABB, projectPoint, convexHull,
+    overlapBox, lapBoxes, notchedBoxFaces, boardOperations, contactSide, cutDims, edgeBanding,
+    CUT_LIST_HEADER, cutList, cutListCSV, nestSheets, cutStock, projectCost, PRICE_UNIT_NAMES,
+    boardDensity, boardSolid, boardMass, massProperties, stabilityCheck, stabilityWarning, formatMass,
+    GRAVITY, SAG_LIMIT, SUPPORT_LABELS, bendingAxes, supportIntervals, spanCase, deflectionCheck,
+    CONTACT_TOL, boardSolidHull, clipSolid, solidVolume, findCollisions, collisionMessage, formatVolume,
+    CONTACT_TYPES, CONTACT_LABELS, clipPolygon, polygonExtent, contactGraph, fastenerList,
+    NEAR_MISS, supportCheck, floatingMessage,
   };
 }
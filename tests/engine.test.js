@@ -6,7 +6,16 @@ const {
   VIEW_LABELS, autoDetectViews, listViewDimsMulti,
   encodeHash, decodeHash, projectBoard, projAxisLabels,
   depthSort, reconstructBoardLine, extractBoardSource, editBoardInSource,
-  parseBoardSourceRaw, reconstructBoardLineRaw,
+  parseBoardSourceRaw, reconstructBoardLineRaw, interpolateIndex, fileResolver,
+  formatLength, formatLengthLiteral, formatArea, formatPrice,
+  boardTransform, boardAABB, materialUsage, holeArea, boardArea,
+  hasOutline, polygonArea, shapeOutline, overlapBox, lapBoxes, notchedBoxFaces, boardOperations,
+  contactSide, cutDims, edgeBanding, VIEW_AXES, PROJ_AXES, grainInView,
+  CUT_LIST_HEADER, cutList, cutListCSV, nestSheets, sheetCount, cutStock, projectCost,
+  boardSolid, boardMass, massProperties, stabilityCheck, stabilityWarning, formatMass,
+  bendingAxes, supportIntervals, spanCase, deflectionCheck,
+  CONTACT_TOL, boardSolidHull, solidVolume, findCollisions, collisionMessage, formatVolume,
+  CONTACT_LABELS, contactGraph, fastenerList, jointCount, NEAR_MISS, supportCheck, floatingMessage,
 } = require('../lib/engine.js');
 
 // Helper: create a parser with pre-set vars/boards for isolated method testing
@@ -110,6 +119,38 @@ describe('DSLParser.math()', () => {
   it('rejects division by zero (Infinity)', () => {
     assert.throws(() => p.math('1/0'));
   });
+  it('comparisons evaluate to 1 or 0', () => {
+    assert.equal(p.math('5 > 3'), 1);
+    assert.equal(p.math('5 <= 3'), 0);
+    assert.equal(p.math('2 == 2'), 1);
+    assert.equal(p.math('2 != 2'), 0);
+  });
+
+  it('boolean operators and ternary', () => {
+    assert.equal(p.math('1 > 0 && 2 > 3'), 0);
+    assert.equal(p.math('1 > 0 || 2 > 3'), 1);
+    assert.equal(p.math('!(1 > 0)'), 0);
+    assert.equal(p.math('1000 > 900 ? 25 : 18'), 25);
+  });
+
+  it('rejects assignment and bitwise operators', () => {
+    assert.throws(() => p.math('1 = 1'), /Neplatný výraz/);
+    assert.throws(() => p.math('1 & 1'), /Neplatný výraz/);
+    assert.throws(() => p.math('1 | 1'), /Neplatný výraz/);
+  });
+
+  it('rejects non-finite results instead of returning 0', () => {
+    assert.throws(() => p.math('9'.repeat(200) + ' * ' + '9'.repeat(200)), /není číslo/);
+  });
+
+  it('does not resolve Object.prototype names as variables', () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+      const r = parseDSL(`board[a] $${name}+100 x 18 x 300 "A" at 0,0,0`);
+      assert.equal(r.boards.length, 0);
+      assert.match(r.errors[0], new RegExp(`Neznámá proměnná \\$${name}`));
+    }
+    assert.equal(parseDSL('$toString = 5\nboard[a] $toString x 18 x 300 "A"').boards[0].w, 5);
+  });
 });
 
 // ═══════════════════════════════════════════════════════
@@ -1178,6 +1219,29 @@ describe('depthSort()', () => {
 //  29. reconstructBoardLine()
 // ═══════════════════════════════════════════════════════
 describe('reconstructBoardLine()', () => {
+  it('writes beams with their profile and endpoints', () => {
+    const src = 'beam[b] 40 x 60 "Krokev" from 0,0,0 to 1000,0,500 roll 90 color #ff0000';
+    const [b] = parseDSL(src).boards;
+    const line = reconstructBoardLine(b);
+    assert.equal(line, 'beam[b] 40 x 60 "Krokev"\n  from 0,0,0 to 1000,0,500 roll 90\n  color #ff0000');
+    const [back] = parseDSL(editBoardInSource(src, 'b', b)).boards;
+    assert.deepEqual([back.w, back.h, back.d, back.beam], [b.w, b.h, b.d, b.beam]);
+    assert.match(reconstructBoardLine(parseDSL('beam[c] 40 x 60 from 0,0,0 to 10,0,0').boards[0]), /^beam\[c\] 40 x 60\n  from 0,0,0 to 10,0,0\n/);
+  });
+
+  it('writes mm lengths that read back the same under other units', () => {
+    const src = 'units cm\nboard[a] 60 x 40 x 1.8 "Bok"\n  at 5, 0, 2\n  cut left 10\n  hole circle 20,20 1.5\n  edge top 0.2 "ABS"\n'
+      + 'beam[b] 4 x 6 from 0,0,0 to 100,0,50 roll 90';
+    const boards = parseDSL(src).boards;
+    for (const b of boards) {
+      const [back] = parseDSL(editBoardInSource(src, b.id, b)).boards.filter(x => x.id === b.id);
+      assert.deepEqual(
+        [back.w, back.h, back.d, back.x, back.y, back.z, back.cuts, back.holes, back.edges, back.beam],
+        [b.w, b.h, b.d, b.x, b.y, b.z, b.cuts, b.holes, b.edges, b.beam]);
+    }
+    assert.match(reconstructBoardLine(boards[0], 'cm'), /^board\[a\] 600mm x 400mm x 18mm "Bok"\n  at 50mm, 0mm, 20mm\n/);
+  });
+
   it('minimal board', () => {
     const b = { id: 'a', w: 100, h: 200, d: 50, name: 'Test', hasPos: false, fromTo: null, cuts: null, view: null, color: null };
     const line = reconstructBoardLine(b);
@@ -1414,3 +1478,1685 @@ describe('reconstructBoardLineRaw', () => {
     assert.equal(reparsed.view, fields.view);
   });
 });
+
+// ═══════════════════════════════════════════════════════
+//  repeat / for
+// ═══════════════════════════════════════════════════════
+describe('repeat / for', () => {
+  it('emits one board per index with {i} in id and name', () => {
+    const dsl = 'repeat $i = 1..3 {\n  board[p{i}] 100 x 18 x 50 "Police {i}"\n}';
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.map(b => b.id), ['p1', 'p2', 'p3']);
+    assert.deepEqual(boards.map(b => b.name), ['Police 1', 'Police 2', 'Police 3']);
+  });
+
+  it('$i is usable in expressions, including continuation lines', () => {
+    const dsl = [
+      'board[dn] 800 x 18 x 400 "Dno" at 0, 0, 0',
+      'repeat $i = 1..3 {',
+      '  board[p{i}] 800 x 18 x 400 "Police {i}"',
+      '    at 0, {dn.top}+$i*380, 0',
+      '}',
+    ].join('\n');
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.slice(1).map(b => b.y), [398, 778, 1158]);
+  });
+
+  it('several boards in one block are separate statements', () => {
+    const dsl = 'repeat $i = 1..2 {\n  board[a{i}] 10 x 10 x 10 "A"\n  board[b{i}] 10 x 10 x 10 "B"\n}';
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.map(b => b.id), ['a1', 'b1', 'a2', 'b2']);
+  });
+
+  it('generated boards are addressable after the block', () => {
+    const dsl = 'repeat $i = 1..2 {\n  board[p{i}] 100 x 18 x 50 "P" at 0, $i*100, 0\n}\nboard[t] 10 x 10 x 10 "T" at 0, {p2.top}, 0';
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.equal(boards[2].y, 218);
+  });
+
+  it('{i-1} references the previous board', () => {
+    const dsl = [
+      'board[p1] 100 x 18 x 50 "P1" at 0, 0, 0',
+      'repeat $i = 2..3 {',
+      '  board[p{i}] 100 x 18 x 50 "P{i}" at 0, {p{i-1}.top}+100, 0',
+      '}',
+    ].join('\n');
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.map(b => b.y), [0, 118, 236]);
+  });
+
+  it('for … to … step', () => {
+    const { boards, errors } = parseDSL('for $k = 0 to 500 step 250 {\n  board[s{k}] 40 x 60 x 100 "S" at $k, 0, 0\n}');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.map(b => b.id), ['s0', 's250', 's500']);
+    assert.deepEqual(boards.map(b => b.x), [0, 250, 500]);
+  });
+
+  it('nested blocks', () => {
+    const dsl = 'repeat $r = 1..2 {\n  repeat $c = 1..3 {\n    board[t{r}_{c}] 10 x 10 x 10 "T{r}/{c}"\n  }\n}';
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.equal(boards.length, 6);
+    assert.equal(boards[5].id, 't2_3');
+  });
+
+  it('generated boards keep the current group', () => {
+    const { groups } = parseDSL('group "Police"\nrepeat $i = 1..2 {\n  board[p{i}] 10 x 10 x 10 "P"\n}');
+    assert.deepEqual(groups, [{ name: 'Police', boards: ['p1', 'p2'] }]);
+  });
+
+  it('loop variable does not leak after the block', () => {
+    const { errors } = parseDSL('repeat $i = 1..2 {\n}\nboard[a] $i x 10 x 10 "A"');
+    assert.ok(errors.some(e => e.includes('Neznámá proměnná $i')));
+  });
+
+  it('generated boards remember their template source', () => {
+    const { boards } = parseDSL('# x\nrepeat $i = 1..2 {\n  board[p{i}] 10 x 10 x 10 "P"\n}');
+    assert.deepEqual(boards[1].src, { id: 'p{i}', line: 3 });
+  });
+
+  it('unclosed block → error', () => {
+    const { errors } = parseDSL('repeat $i = 1..2 {\n  board[p{i}] 10 x 10 x 10 "P"');
+    assert.ok(errors.some(e => e.includes('není uzavřen')));
+  });
+
+  it('invalid header → error', () => {
+    const { errors } = parseDSL('repeat 5 {\n}');
+    assert.ok(errors.some(e => e.includes('neplatný repeat')));
+  });
+
+  it('stray } → error', () => {
+    const { errors } = parseDSL('}');
+    assert.equal(errors.length, 1);
+  });
+
+  it('interpolateIndex replaces only the given name', () => {
+    assert.equal(interpolateIndex('p{i} {a.top} {i+1} {j}', 'i', 4), 'p4 {a.top} 5 {j}');
+  });
+
+  it('extractBoardSource picks the template by line', () => {
+    const src = 'repeat $i = 1..2 {\n  board[f{i}] 1 x 1 x 1 "A"\n}\nrepeat $i = 3..4 {\n  board[f{i}] 2 x 2 x 2 "B"\n}';
+    assert.equal(extractBoardSource(src, 'f{i}', 5), '  board[f{i}] 2 x 2 x 2 "B"');
+    assert.equal(extractBoardSource(src, 'f{i}'), '  board[f{i}] 1 x 1 x 1 "A"');
+  });
+
+  it('editBoardInSource keeps the template indentation', () => {
+    const src = 'repeat $i = 1..2 {\n  board[p{i}] 1 x 1 x 1 "A"\n    at 0, 0, 0\n}';
+    const fields = parseBoardSourceRaw(extractBoardSource(src, 'p{i}'));
+    fields.name = 'B';
+    const out = editBoardInSource(src, 'p{i}', reconstructBoardLineRaw(fields));
+    assert.equal(out, 'repeat $i = 1..2 {\n  board[p{i}] 1 x 1 x 1 "B"\n    at 0, 0, 0\n}');
+  });
+
+  it('rejects index values that make an invalid id', () => {
+    const half = parseDSL('repeat $i = 0..1 step 0.5 {\n  board[p{i}] 1 x 1 x 1 "P{i}"\n}');
+    assert.deepEqual(half.errors, ['Řádek 2 (repeat $i): ID [p0.5] pro $i = 0.5 není platné, v ID mohou být jen celá nezáporná čísla']);
+    assert.deepEqual(half.boards.map(b => b.id), ['p0']);
+    assert.match(parseDSL('repeat $i = 0..1 {\n  board[p{i-1}] 1 x 1 x 1 "P"\n}').errors[0], /ID \[p-1\] pro \$i = 0/);
+    // Fractions are fine outside the id
+    assert.deepEqual(parseDSL('repeat $i = 0..1 step 0.5 {\n  board 1 x 1 x 1 "P{i}" at 0, $i*100, 0\n}').errors, []);
+  });
+
+  it('boards without an id are edited by their line', () => {
+    const src = 'repeat $i = 1..2 {\n  board 1 x 1 x 1 "P{i}"\n}\nboard 1 x 1 x 1 "Q"';
+    const { boards } = parseDSL(src);
+    assert.deepEqual(boards.map(b => b.src), [{ id: '', line: 2 }, { id: '', line: 2 }, { id: '', line: 4 }]);
+    assert.equal(extractBoardSource(src, '', 4), 'board 1 x 1 x 1 "Q"');
+    assert.equal(extractBoardSource(src, ''), '');
+    const fields = parseBoardSourceRaw(extractBoardSource(src, '', 2));
+    fields.w = '2';
+    assert.equal(editBoardInSource(src, '', reconstructBoardLineRaw(fields), 2),
+      'repeat $i = 1..2 {\n  board 2 x 1 x 1 "P{i}"\n}\nboard 1 x 1 x 1 "Q"');
+  });
+});
+
+describe('component / use', () => {
+  const CARCASS = [
+    'component "carcass"($W, $H, $D, $T=18) {',
+    '  $IN = $W - 2*$T',
+    '  board[lt] $T x $H x $D "Levý bok" at 0, 0, 0',
+    '  board[rt] $T x $H x $D "Pravý bok" at $W-$T, 0, 0',
+    '  board[dn] $IN x $T x $D "Dno" at {lt.right}, 0, 0',
+    '}',
+  ];
+
+  it('prefixes board ids with the instance id and offsets by origin', () => {
+    const dsl = [...CARCASS, 'use carcass(800, 2000, 400) at 1000, 50, 0 as c1'].join('\n');
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(boards.map(b => b.id), ['c1.lt', 'c1.rt', 'c1.dn']);
+    const dn = boards.find(b => b.id === 'c1.dn');
+    assert.equal(dn.w, 764);
+    assert.equal(dn.x, 1018);
+    assert.equal(dn.y, 50);
+    assert.equal(dn.hasPos, true);
+  });
+
+  it('instance boards are referenceable from outside by full id', () => {
+    const dsl = [...CARCASS,
+      'use carcass(800, 2000, 400) as c1',
+      'use carcass(600, 700, 400) at {c1.rt.right}, 0, 0 as c2',
+    ].join('\n');
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.equal(boards.find(b => b.id === 'c2.lt').x, 800);
+  });
+
+  it('uses default parameters and generates instance ids', () => {
+    const dsl = [...CARCASS, 'use carcass(800, 2000, 400)', 'use carcass(600, 700, 400, 25)'].join('\n');
+    const { boards, errors } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.equal(boards.find(b => b.id === 'carcass1.lt').w, 18);
+    assert.equal(boards.find(b => b.id === 'carcass2.lt').w, 25);
+  });
+
+  it('keeps component variables local', () => {
+    const dsl = [...CARCASS, 'use carcass(800, 2000, 400) as c1', '$X = $IN'].join('\n');
+    const { errors, varCount } = parseDSL(dsl);
+    assert.equal(errors.length, 1);
+    assert.equal(varCount, 0);
+  });
+
+  it('each instance forms a group', () => {
+    const dsl = [...CARCASS, 'use carcass(800, 2000, 400) as c1', 'board[x] 1 x 1 x 1 "X"'].join('\n');
+    const { groups } = parseDSL(dsl);
+    assert.deepEqual(groups, [
+      { name: 'c1', boards: ['c1.lt', 'c1.rt', 'c1.dn'] },
+      { name: null, boards: ['x'] },
+    ]);
+  });
+
+  it('nested components prefix ids with every instance level', () => {
+    const dsl = [...CARCASS,
+      'component "pair"($W) {',
+      '  use carcass($W, 700, 400) as a',
+      '  use carcass($W, 700, 400) at {a.rt.right}, 0, 0 as b',
+      '}',
+      'use pair(500) as p',
+    ].join('\n');
+    const { boards, errors, groups } = parseDSL(dsl);
+    assert.deepEqual(errors, []);
+    assert.equal(boards.find(b => b.id === 'p.b.lt').x, 500);
+    assert.deepEqual(groups.map(g => g.name), ['p']);
+  });
+
+  it('takes references to outside boards relative to the instance origin', () => {
+    const { boards, errors } = parseDSL(`board[base] 1000 x 20 x 400 "Base" at 0,100,0
+component "foot"() {
+  board[f] 40 x 20 x 40 "F" at 0, {base.top}, 0
+}
+component "leg"() {
+  board[l] 40 x 700 x 40 "Leg" at {base.x}, {base.top}, {base.z}
+  use foot() at 10,0,0 as ft
+  board[t] 40 x 10 x 40 "T" at 0, {ft.f.top}, 0
+}
+use leg() at 500,100,100 as a`);
+    assert.deepEqual(errors, []);
+    // Each board stands on the base in world coordinates, whatever the nesting
+    assert.deepEqual(boards.slice(1).map(b => [b.id, b.x, b.y, b.z]),
+      [['a.l', 0, 120, 0], ['a.ft.f', 510, 120, 100], ['a.t', 500, 140, 100]]);
+  });
+
+  it('reports unknown components, missing params, duplicates and recursion', () => {
+    const errs = dsl => parseDSL(dsl).errors;
+    assert.match(errs('use nope(1)')[0], /neznámá komponenta nope/);
+    assert.match(errs([...CARCASS, 'use carcass(800)'].join('\n'))[0], /Chybí parametr \$H/);
+    assert.match(errs([...CARCASS, 'use carcass(1,1,1) as a', 'use carcass(1,1,1) as a'].join('\n'))[0], /duplicitní ID \[a\]/);
+    assert.match(errs('component "r"() {\n  use r()\n}\nuse r()')[0], /rekurzivní použití/);
+    assert.match(errs('component "r"($A) {\n  board[a] 1 x 1 x 1 "A"')[0], /není uzavřen/);
+  });
+
+  it('instance boards point to their template for editing', () => {
+    const dsl = [...CARCASS, 'use carcass(800, 2000, 400) as c1'].join('\n');
+    const { boards } = parseDSL(dsl);
+    assert.deepEqual(boards[0].src, { id: 'lt', line: 3 });
+  });
+});
+
+describe('include', () => {
+  const project = files => ({ file: 'main.dm', resolve: p => files[p] ?? null });
+
+  it('runs the included file in place', () => {
+    const files = { 'lib/plinth.dm': '$P = 100\nboard[pl] 800 x $P x 18 "Sokl"' };
+    const { boards, errors } = parseDSL('include "lib/plinth.dm"\nboard[dn] 800 x 18 x 400 "Dno" at 0, {pl.top}, 0', project(files));
+    assert.deepEqual(errors, []);
+    assert.equal(boards[1].y, 100);
+    assert.equal(boards[0].file, 'lib/plinth.dm');
+    assert.equal(boards[1].file, undefined);
+  });
+
+  it('resolves paths relative to the including file', () => {
+    const files = {
+      'lib/a.dm': 'include "../shared/b.dm"',
+      'shared/b.dm': 'board[b] 1 x 1 x 1 "B"',
+    };
+    const { boards, errors } = parseDSL('include "./lib/a.dm"', project(files));
+    assert.deepEqual(errors, []);
+    assert.equal(boards[0].file, 'shared/b.dm');
+  });
+
+  it('reports errors with the line number of the included file', () => {
+    const files = { 'lib/a.dm': '# lib\n\nfoo' };
+    const { errors } = parseDSL('$A = 1\ninclude "lib/a.dm"\nbar', project(files));
+    assert.deepEqual(errors, ['Soubor lib/a.dm, řádek 3: neznámý příkaz', 'Řádek 3: neznámý příkaz']);
+  });
+
+  it('names the file of the condition that skipped a board', () => {
+    const files = { 'lib/a.dm': '$X = 0\nif $X {\n  board[a] 1 x 1 x 1 "A"\n}\nboard[c] 1 x 1 x 1 "C" at 0, {b.top}, 0' };
+    const { errors } = parseDSL('if 0 {\n  board[b] 1 x 1 x 1 "B"\n}\ninclude "lib/a.dm"\nboard[d] 1 x 1 x 1 "D" at 0, {a.top}, 0', project(files));
+    assert.match(errors[0], /^Soubor lib\/a\.dm, řádek 5 \(C\): Deska \[b\] je vyřazena podmínkou v souboru main\.dm na řádku 1/);
+    assert.match(errors[1], /^Řádek 5 \(D\): Deska \[a\] je vyřazena podmínkou v souboru lib\/a\.dm na řádku 2/);
+  });
+
+  it('detects include cycles', () => {
+    const files = { 'a.dm': 'include "b.dm"', 'b.dm': 'include "a.dm"' };
+    const { errors } = parseDSL('include "a.dm"', project(files));
+    assert.deepEqual(errors, ['Soubor b.dm, řádek 1: cyklický include main.dm → a.dm → b.dm → a.dm']);
+    assert.match(parseDSL('include "main.dm"', project({})).errors[0], /cyklický include/);
+  });
+
+  it('includes each file once', () => {
+    const files = { 'a.dm': 'board[a] 1 x 1 x 1 "A"' };
+    const { boards, errors } = parseDSL('include "a.dm"\ninclude "a.dm"', project(files));
+    assert.deepEqual(errors, []);
+    assert.equal(boards.length, 1);
+  });
+
+  it('reports missing files and missing resolver', () => {
+    assert.deepEqual(parseDSL('include "x.dm"', project({})).errors, ['Řádek 1: soubor "x.dm" nenalezen']);
+    assert.match(parseDSL('include "x.dm"').errors[0], /nenalezen/);
+    assert.match(parseDSL('include x.dm').errors[0], /neplatný include/);
+  });
+
+  it('components from a library report body errors in the library file', () => {
+    const files = { 'lib.dm': 'component "c"() {\n  board[a] x\n}' };
+    const { errors } = parseDSL('include "lib.dm"\nuse c()', project(files));
+    assert.match(errors[0], /^Soubor lib\.dm, řádek 2:/);
+  });
+
+  it('fileResolver reads files relative to a directory', () => {
+    const fs = require('fs'), os = require('os'), path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'draftmaid-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'lib'));
+      fs.writeFileSync(path.join(dir, 'lib', 'a.dm'), 'board[a] 1 x 1 x 1 "A"');
+      const resolve = fileResolver(dir);
+      assert.equal(resolve('lib/a.dm'), 'board[a] 1 x 1 x 1 "A"');
+      assert.equal(resolve('nope.dm'), null);
+      assert.equal(parseDSL('include "lib/a.dm"', { resolve }).boards.length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('if / else', () => {
+  const ids = dsl => parseDSL(dsl).boards.map(b => b.id);
+  const BLOCK = [
+    'if $W > 900 {',
+    '  board[mid] 18 x 100 x 100 "Příčka"',
+    '} else if $W > 600 {',
+    '  board[pl] 100 x 18 x 100 "Police"',
+    '} else {',
+    '  board[none] 1 x 1 x 1 "Nic"',
+    '}',
+  ].join('\n');
+
+  it('takes the first branch whose condition holds', () => {
+    assert.deepEqual(ids('$W = 1000\n' + BLOCK), ['mid']);
+    assert.deepEqual(ids('$W = 800\n' + BLOCK), ['pl']);
+    assert.deepEqual(ids('$W = 500\n' + BLOCK), ['none']);
+  });
+
+  it('conditional variables', () => {
+    const { boards, errors } = parseDSL('$W = 500\n$T = 18\nif $W < 600 {\n  $T = 12\n}\nboard[a] $W x $T x 1 "A"');
+    assert.deepEqual(errors, []);
+    assert.equal(boards[0].h, 12);
+  });
+
+  it('nested blocks inside a branch', () => {
+    const dsl = 'if 1 {\n  repeat $i = 1..2 {\n    if $i == 2 {\n      board[p{i}] 1 x 1 x 1 "P"\n    }\n  }\n} else {\n  board[x] 1 x 1 x 1 "X"\n}';
+    assert.deepEqual(ids(dsl), ['p2']);
+  });
+
+  it('referencing an excluded board says so', () => {
+    const { errors } = parseDSL('$W = 500\n' + BLOCK + '\nboard[a] 1 x 1 x 1 "A" at {mid.right}, 0, 0');
+    assert.deepEqual(errors, ['Řádek 9 (A): Deska [mid] je vyřazena podmínkou na řádku 2 (sloupec 27)']);
+  });
+
+  it('reports unclosed blocks, bad conditions and stray else', () => {
+    assert.match(parseDSL('if 1 {\n  board[a] 1 x 1 x 1 "A"').errors[0], /blok if není uzavřen/);
+    assert.match(parseDSL('if {\n}').errors[0], /neplatná podmínka/);
+    assert.match(parseDSL('if $X > 1 {\n}').errors[0], /Neznámá proměnná \$X/);
+    assert.match(parseDSL('if 1 {\n}\nelse {\n}').errors[0], /'else' musí následovat '}'/);
+  });
+});
+
+describe('math functions', () => {
+  const p = mkParser();
+
+  it('MIN / MAX / ABS / SQRT', () => {
+    assert.equal(p.eval('MIN(3, 1, 2)'), 1);
+    assert.equal(p.eval('MAX(3, 1, 2)'), 3);
+    assert.equal(p.eval('ABS(-7)'), 7);
+    assert.equal(p.eval('SQRT(16)'), 4);
+  });
+
+  it('ROUND / FLOOR / CEIL with step', () => {
+    assert.equal(p.eval('ROUND(123.4)'), 123);
+    assert.equal(p.eval('ROUND(123.4, 5)'), 125);
+    assert.equal(p.eval('FLOOR(17, 5)'), 15);
+    assert.equal(p.eval('CEIL(11, 5)'), 15);
+  });
+
+  it('trigonometry in degrees and PI', () => {
+    assert.equal(p.eval('SIN(30)'), 0.5);
+    assert.equal(p.eval('COS(90)'), 0);
+    assert.equal(p.eval('TAN(45)'), 1);
+    assert.equal(p.eval('ATAN2(1, 1)'), 45);
+    assert.equal(p.eval('PI * 2'), 6.283);
+  });
+
+  it('LEN in 2D and 3D, LERP', () => {
+    assert.equal(p.eval('LEN(0,0,3,4)'), 5);
+    assert.equal(p.eval('LEN(0,0,0,1,2,2)'), 3);
+    assert.equal(p.eval('LERP(1990, 1365, 937.5/1875)'), 1677.5);
+  });
+
+  it('nested calls and parentheses in arguments', () => {
+    assert.equal(p.eval('MIN(3, ABS(-5), MAX((1+1)*2, 1))'), 3);
+    assert.equal(p.eval('LEN(0, 0, MAX(3, 1), SQRT(16))'), 5);
+    assert.equal(p.eval('-MIN(1, 2) * 2'), -2);
+  });
+
+  it('function names are case-insensitive', () => {
+    assert.equal(p.eval('max(1, 2)'), 2);
+  });
+
+  it('reports unknown functions and wrong argument counts', () => {
+    assert.throws(() => p.eval('FOO(1)'), /Neznámá funkce FOO/);
+    assert.throws(() => p.eval('ABS(1, 2)'), /počet argumentů 1, předáno 2/);
+    assert.throws(() => p.eval('LEN(1,2,3,4,5)'), /4 \(2D\) nebo 6 \(3D\)/);
+    assert.throws(() => p.eval('SQRT(-1)'), /záporného/);
+    assert.throws(() => p.eval('MIN(1, 2'), /Neuzavřená závorka/);
+  });
+});
+
+describe('expression evaluator', () => {
+  const p = mkParser({ W: 800, Z: 0 });
+
+  it('operator precedence and associativity', () => {
+    assert.equal(p.math('2 + 3 * 4'), 14);
+    assert.equal(p.math('10 - 4 - 3'), 3);
+    assert.equal(p.math('2 ^ 3 ^ 2'), 512);
+    assert.equal(p.math('2 ** 3'), 8);
+    assert.equal(p.math('1 + 2 > 2 && 4 / 2 == 2'), 1);
+  });
+
+  it('unary minus binds looser than exponent', () => {
+    assert.equal(p.math('-2 ^ 2'), -4);
+    assert.equal(p.math('(-2) ^ 2'), 4);
+    assert.equal(p.math('3 - -$W'), 803);
+    assert.equal(p.math('-$Z'), 0);
+    assert.ok(Object.is(p.math('-$Z'), 0));
+  });
+
+  it('ternary is right-associative and lazy', () => {
+    assert.equal(p.math('$W > 900 ? 1 : $W > 600 ? 2 : 3'), 2);
+    assert.equal(p.math('1 ? 5 : {missing.w}'), 5);
+    assert.equal(p.math('0 && {missing.w}'), 0);
+  });
+
+  it('reports the failing token with its position', () => {
+    assert.throws(() => p.eval('1 + @'), /neočekávaný znak "@" \(pozice 5 ve výrazu\)/);
+    assert.throws(() => p.eval('(1 + 2'), /očekáváno "\)"/);
+    assert.throws(() => p.eval('1 2'), /neočekávaný "2"/);
+    assert.throws(() => p.eval('5 / (2 - 2)'), /Dělení nulou \(pozice 3/);
+  });
+
+  it('error columns refer to the source line, including continuation lines', () => {
+    assert.deepEqual(parseDSL('$A = 1 + $X').errors, ['Řádek 1 ($A): Neznámá proměnná $X (sloupec 10)']);
+    const { errors } = parseDSL('board[a] 10 x 2 x 3 "A"\n    at 0, $Q, 0');
+    assert.deepEqual(errors, ['Řádek 1 (A): Neznámá proměnná $Q (řádek 2, sloupec 11)']);
+  });
+
+  it('never compiles code with Function', () => {
+    const orig = global.Function;
+    global.Function = () => { throw new Error('Function called'); };
+    try { assert.equal(mkParser({ A: 2 }).eval('MAX($A, 3) * 2'), 6); }
+    finally { global.Function = orig; }
+  });
+});
+
+describe('units', () => {
+  const p = mkParser();
+
+  it('unit-suffixed literals convert to millimetres', () => {
+    assert.equal(p.eval('80cm'), 800);
+    assert.equal(p.eval('1.2m'), 1200);
+    assert.equal(p.eval('3/4in'), 19.05);
+    assert.equal(p.eval('5 1/2"'), 139.7);
+    assert.equal(p.eval('2ft'), 609.6);
+    assert.equal(p.eval("2'6\""), 762);
+    assert.equal(p.eval('10mm + 1cm'), 20);
+  });
+
+  it('rejects unknown suffixes and zero denominators', () => {
+    assert.throws(() => p.eval('5min'), /Neplatný výraz/);
+    assert.throws(() => p.eval('1/0in'), /jmenovatelem 0/);
+  });
+
+  it('units directive sets the unit of plain numbers', () => {
+    const { boards, errors, units } = parseDSL('units cm\n$W = 80\nboard[a] $W x 1.8 x 400mm "A" at 0, 10, 0');
+    assert.deepEqual(errors, []);
+    assert.equal(units, 'cm');
+    assert.deepEqual([boards[0].w, boards[0].h, boards[0].d, boards[0].y], [800, 18, 400, 100]);
+  });
+
+  it('board references return document units', () => {
+    const { boards, errors } = parseDSL('units cm\nboard[a] 80 x 2 x 40 "A"\nboard[b] {a.w}/2 x 2 x 40 "B" at {a.right}, 0, 0');
+    assert.deepEqual(errors, []);
+    assert.equal(boards[1].w, 400);
+    assert.equal(boards[1].x, 800);
+  });
+
+  it('dimensionless values are not scaled', () => {
+    const { boards } = parseDSL('units cm\nrepeat $i = 1..2 {\n  board[p{i}] 10 x 1 x 1 "P" at 0, $i*30, 0\n}');
+    assert.deepEqual(boards.map(b => b.y), [300, 600]);
+  });
+
+  it('units must come first and be valid', () => {
+    assert.match(parseDSL('$A = 1\nunits cm').errors[0], /musí být na začátku/);
+    assert.match(parseDSL('units furlong').errors[0], /neplatné jednotky/);
+    assert.deepEqual(parseDSL('units mm\n$A = 1\nunits mm').errors, []);
+  });
+
+  it('formatLength in metric and fractional imperial units', () => {
+    assert.equal(formatLength(800, 'mm'), '800');
+    assert.equal(formatLength(800, 'cm', true), '80 cm');
+    assert.equal(formatLength(800, 'm'), '0.8');
+    assert.equal(formatLength(800, 'in'), '31 1/2"');
+    assert.equal(formatLength(12.7, 'in'), '1/2"');
+    assert.equal(formatLength(-12.7, 'in'), '-1/2"');
+    assert.equal(formatLength(800, 'ft'), '2\' 7 1/2"');
+    assert.equal(formatLength(304.8, 'ft'), '1\' 0"');
+  });
+
+  it('formatLengthLiteral produces parseable literals', () => {
+    for (const unit of ['mm', 'cm', 'm', 'in', 'ft']) {
+      const lit = formatLengthLiteral(800, unit);
+      assert.ok(Math.abs(p.eval(lit) - 800) < 1, `${unit}: ${lit}`);
+    }
+  });
+
+  it('formatArea switches to ft² for imperial units', () => {
+    assert.equal(formatArea(1.5, 'cm'), '1.500 m²');
+    assert.equal(formatArea(1, 'in', 2), '10.76 ft²');
+  });
+});
+
+describe('rotate', () => {
+  const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} ≈ ${b}`);
+
+  it('parses angles and default pivot', () => {
+    const r = parseDSL('board[a] 100 x 200 x 10 "A" at 0,0,0 rotate 0, 0, 90');
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.boards[0].rot, { x: 0, y: 0, z: 90, pivot: [0, 0, 0] });
+  });
+
+  it('pivot center and explicit pivot', () => {
+    const r = parseDSL('board[a] 100 x 200 x 10 "A" rotate 90, 0, 0 pivot center\n' +
+                       'board[b] 100 x 200 x 10 "B" rotate 0, 45, 0 pivot 10, 20, 5 color #ff0000');
+    assert.deepEqual(r.boards[0].rot.pivot, [50, 100, 5]);
+    assert.deepEqual(r.boards[1].rot.pivot, [10, 20, 5]);
+    assert.equal(r.boards[1].color, '#ff0000');
+  });
+
+  it('zero rotation leaves the board unrotated', () => {
+    assert.equal(parseDSL('board[a] 100 x 200 x 10 "A" rotate 0, 0, 0').boards[0].rot, undefined);
+  });
+
+  it('AABB properties of a rotated board', () => {
+    const p = new DSLParser('board[a] 100 x 200 x 10 "A" at 0,0,0 rotate 0, 0, 90\n' +
+                            'board[b] 100 x 200 x 10 "B" at 0,0,0 rotate 90, 0, 0 pivot center');
+    p.parse();
+    assert.equal(p.eval('{a.right}'), 0);
+    assert.equal(p.eval('{a.cx}'), -100);
+    assert.equal(p.eval('{b.top}'), 105);
+    assert.equal(p.eval('{b.back}'), 105);
+    assert.equal(p.eval('{b.cz}'), 5);
+  });
+
+  it('boardTransform composes from/to angle with rotation', () => {
+    const b = parseDSL('board[a] 100 x 10 x 10 "A" from 0,0 to 0,100 rotate 0, 0, -90').boards[0];
+    const { R, t } = boardTransform(b);
+    near(R[0][0], 1); near(R[1][1], 1); near(t[0], 0); near(t[1], 0);
+    const { max } = boardAABB(b);
+    near(max[0], 100); near(max[1], 10);
+  });
+
+  it('projectBoard returns a silhouette hull', () => {
+    const b = parseDSL('board[a] 100 x 100 x 10 "A" at 0,0,0 rotate 0, 0, 45').boards[0];
+    const p = projectBoard(b, 'left');
+    assert.equal(p.hull.length, 4);
+    near(p.lw, 100 * Math.SQRT2);
+    near(p.lx, -100 / Math.SQRT2);
+    assert.equal(projectBoard(b, 'front').hull.length, 4);
+  });
+
+  it('reports malformed rotate', () => {
+    assert.match(parseDSL('board[a] 100 x 200 x 10 "A" rotate 90').errors[0], /3 úhly/);
+    assert.match(parseDSL('board[a] 100 x 200 x 10 "A" rotate 0,0,90 pivot 1,2').errors[0], /'pivot'/);
+  });
+
+  it('raw field round-trips through the edit panel', () => {
+    const src = 'board[a] 100 x 200 x 10 "A" at 0, 0, 0 rotate 0, {$T}, 0 pivot center';
+    const f = parseBoardSourceRaw(src);
+    assert.equal(f.z, '0');
+    assert.equal(f.rotate, '0, {$T}, 0 pivot center');
+    assert.match(reconstructBoardLineRaw(f), /\n  rotate 0, \{\$T\}, 0 pivot center$/);
+  });
+});
+
+describe('beam', () => {
+  const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} ≈ ${b}`);
+
+  it('computes length from 3D endpoints', () => {
+    const r = parseDSL('beam[a] 40 x 60 from 0,0,0 to 300,400,1200');
+    assert.deepEqual(r.errors, []);
+    const b = r.boards[0];
+    assert.equal(b.w, 1300);
+    assert.equal(b.h, 60);
+    assert.equal(b.d, 40);
+    assert.equal(b.name, 'a');
+    assert.deepEqual([b.x, b.y, b.z], [0, 0, 0]);
+  });
+
+  it('exposes .len and end point properties', () => {
+    const p = new DSLParser('beam[a] 40 x 60 "Post" from 0,115,0 to 0,1990,0\n' +
+                            'board[s] 100 x 18 x 100 "S" at 0, {a.top}, {a.z2}');
+    const r = p.parse();
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.boards[0].name, 'Post');
+    assert.equal(p.eval('{a.len}'), 1875);
+    assert.equal(p.eval('{a.y2}'), 1990);
+    assert.equal(p.eval('{a.z2}'), 0);
+    assert.equal(r.boards[1].y, 1990);
+  });
+
+  it('horizontal beam matches a from/to board', () => {
+    const beam = parseDSL('beam[a] 40 x 60 from 0,0,50 to 300,400,50').boards[0];
+    const board = parseDSL('board[a] 500 x 60 x 40 "A" from 0,0 to 300,400 z 50').boards[0];
+    const t1 = boardTransform(beam), t2 = boardTransform(board);
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) near(t1.R[i][j], t2.R[i][j]);
+  });
+
+  it('beam along Z and roll', () => {
+    const b = parseDSL('beam[a] 40 x 60 from 0,0,0 to 0,0,1000').boards[0];
+    const { min, max } = boardAABB(b);
+    near(min[0], -40); near(max[1], 60); near(max[2], 1000);
+    const rolled = parseDSL('beam[a] 40 x 60 from 0,0,0 to 1000,0,0 roll 90').boards[0];
+    const bb = boardAABB(rolled);
+    near(bb.min[1], -40); near(bb.max[2], 60);
+  });
+
+  it('is offset with its component instance', () => {
+    const r = parseDSL('component "k"() {\n  beam[b] 40 x 60 from 0,0,0 to 0,100,0\n}\nuse k() at 10,20,30 as k1');
+    assert.deepEqual(r.boards[0].beam.y2, 120);
+    assert.deepEqual([r.boards[0].x, r.boards[0].z], [10, 30]);
+  });
+
+  it('projects as a silhouette', () => {
+    const b = parseDSL('beam[a] 40 x 60 from 0,0,0 to 0,0,1000').boards[0];
+    const p = projectBoard(b, 'front');
+    near(p.lw, 1000); near(p.lh, 60);
+    assert.ok(p.hull.length >= 4);
+  });
+
+  it('reports malformed beams', () => {
+    assert.match(parseDSL('beam[a] 40 x 60').errors[0], /neplatný beam/);
+    assert.match(parseDSL('beam[a] 40 x 60 x 10 from 0,0,0 to 1,1,1').errors[0], /2 rozměry/);
+    assert.match(parseDSL('beam[a] 40 x 60 from 0,0 to 1,1').errors[0], /3 hodnoty/);
+    assert.match(parseDSL('beam[a] 40 x 60 from 1,1,1 to 1,1,1').errors[0], /Nulová délka/);
+    assert.match(parseDSL('beam[a] 40 x 60 from 0,0,0 to 1,0,0\nbeam[a] 40 x 60 from 0,0,0 to 1,0,0').errors[0], /duplicitní/);
+  });
+
+  it('continuation lines attach to a beam', () => {
+    const r = parseDSL('beam[a] 40 x 60\n  from 0,0,0 to 100,0,0\n  color #ff0000');
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.boards[0].color, '#ff0000');
+  });
+
+  it('is edited through the edit panel fields', () => {
+    const src = 'board[a] 10 x 10 x 10 "A"\nbeam[r] 40 x 60\n  from 0,{a.top},0 to 1000,{a.top},0 roll 90\n  color #ff0000';
+    assert.equal(extractBoardSource(src, 'r'), 'beam[r] 40 x 60\n  from 0,{a.top},0 to 1000,{a.top},0 roll 90\n  color #ff0000');
+    const f = parseBoardSourceRaw(extractBoardSource(src, 'r'));
+    assert.deepEqual([f.beam, f.name, f.w, f.h, f.d, f.x1, f.y1, f.z1, f.z2, f.roll, f.color],
+      [true, '', '40', '60', '', '0', '{a.top}', '0', '0', '90', '#ff0000']);
+    f.z2 = '300';
+    const out = parseDSL(editBoardInSource(src, 'r', reconstructBoardLineRaw(f)));
+    assert.deepEqual(out.errors, []);
+    assert.deepEqual(out.boards[1].beam, { x1: 0, y1: 10, z1: 0, x2: 1000, y2: 10, z2: 300, roll: 90 });
+    assert.equal(reconstructBoardLineRaw(parseBoardSourceRaw('beam[p] 40 x 60 "Post" from 0,0,0 to 0,1990,0')),
+      'beam[p] 40 x 60 "Post"\n  from 0,0,0 to 0,1990,0');
+  });
+});
+
+describe('material', () => {
+  const MAT = 'material osb12 "OSB 3 P+D 12 mm" thickness 12 sheet 2500x625 color #d4b87a density 600 price 350/m2\n';
+
+  it('parses a full declaration', () => {
+    const r = parseDSL(MAT);
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.materials.osb12, {
+      id: 'osb12', name: 'OSB 3 P+D 12 mm', thickness: 12, sheet: { w: 2500, h: 625 },
+      color: '#d4b87a', density: 600, modulus: null, price: { value: 350, unit: 'm2' }, grain: null, kerf: null, trim: null, stock: null, waste: null,
+    });
+  });
+
+  it('accepts price units and document units', () => {
+    const r = parseDSL('units cm\nmaterial a "A" thickness 1.8 price 45/m\nmaterial b "B" price 12/ks\nmaterial c "C" price 900 / sheet sheet 2500x1250');
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.materials.a.thickness, 18);
+    assert.deepEqual(r.materials.a.price, { value: 45, unit: 'm' });
+    assert.equal(r.materials.b.price.unit, 'pc');
+    assert.equal(r.materials.c.price.unit, 'sheet');
+  });
+
+  it('assigns material and uses its colour as default', () => {
+    const r = parseDSL(MAT + 'board[a] 600 x 12 x 400 "A" material osb12\nboard[b] 600 x 12 x 400 "B"\n  material osb12\n  color #ff0000');
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.boards[0].material, 'osb12');
+    assert.equal(r.boards[0].color, '#d4b87a');
+    assert.equal(r.boards[1].material, 'osb12');
+    assert.equal(r.boards[1].color, '#ff0000');
+  });
+
+  it('warns when no dimension matches the thickness', () => {
+    const r = parseDSL(MAT + 'board[a] 600 x 18 x 400 "A" material osb12');
+    assert.equal(r.boards.length, 1);
+    assert.match(r.errors[0], /Tloušťka materiálu osb12 \(12\)/);
+  });
+
+  it('reports unknown and malformed materials', () => {
+    assert.match(parseDSL('board[a] 1 x 1 x 1 "A" material xx').errors[0], /Neznámý materiál xx/);
+    assert.match(parseDSL('material a "A" price 5').errors[0], /jednotku/);
+    assert.match(parseDSL('material a "A" foo 5').errors[0], /Neočekávaný text/);
+    assert.match(parseDSL('material a "A"\nmaterial a "B"').errors[0], /duplicitní materiál a/);
+    assert.match(parseDSL('material a').errors[0], /neplatný materiál/);
+  });
+
+  it('beams take a material', () => {
+    const r = parseDSL('material s "Smrk" color #c9a05a\nbeam[p] 40 x 60 from 0,0,0 to 0,100,0 material s');
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.boards[0].color, '#c9a05a');
+  });
+
+  it('materialUsage counts boards per material', () => {
+    const r = parseDSL(MAT + 'material s "Smrk"\nboard[a] 600 x 12 x 400 "A" material osb12\nboard[b] 1 x 1 x 1 "B"\n' +
+                       'board[c] 600 x 12 x 400 "C" material osb12\nbeam[d] 40 x 60 from 0,0,0 to 0,1,0 material s');
+    assert.deepEqual(materialUsage(r.boards, r.materials), [
+      { id: 'osb12', name: 'OSB 3 P+D 12 mm', count: 2 },
+      { id: 's', name: 'Smrk', count: 1 },
+    ]);
+  });
+
+  it('raw field round-trips through the edit panel', () => {
+    const f = parseBoardSourceRaw('board[a] 600 x 12 x 400 "A" at 0, 0, 0 material osb12 color #ff0000');
+    assert.equal(f.material, 'osb12');
+    assert.equal(f.color, '#ff0000');
+    assert.match(reconstructBoardLineRaw(f), /\n  material osb12$/);
+  });
+});
+
+describe('hole', () => {
+  it('parses rect and circle holes', () => {
+    const r = parseDSL('board[a] 600 x 800 x 12 "A" hole rect 100,200 300,400 hole circle 300, 700 - 50 40');
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.boards[0].holes, [
+      { type: 'rect', x: 100, y: 200, w: 300, h: 400 },
+      { type: 'circle', cx: 300, cy: 650, r: 40 },
+    ]);
+  });
+
+  it('accepts variables and continuation lines', () => {
+    const r = parseDSL('$W = 40\nboard[a] 100 x 100 x 10 "A"\n  hole rect 10, 10 $W, 20\n  color #ff0000');
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.boards[0].holes, [{ type: 'rect', x: 10, y: 10, w: 40, h: 20 }]);
+    assert.equal(r.boards[0].color, '#ff0000');
+  });
+
+  it('rejects holes outside the board and bad syntax', () => {
+    assert.match(parseDSL('board[a] 100 x 100 x 10 "A" hole circle 90,50 20').errors[0], /přesahuje desku/);
+    assert.match(parseDSL('board[a] 100 x 100 x 10 "A" hole rect 1,2,3').errors[0], /'hole' potřebuje/);
+    assert.match(parseDSL('board[a] 100 x 100 x 10 "A" hole oval 1,2 3').errors[0], /'hole' potřebuje/);
+    assert.match(parseDSL('board[a] 100 x 100 x 10 "A" hole rect 1,2 0,3').errors[0], /kladné/);
+  });
+
+  it('subtracts hole area', () => {
+    const b = parseDSL('board[a] 1000 x 1000 x 10 "A" hole rect 0,0 500,200 hole circle 700,700 100').boards[0];
+    assert.ok(Math.abs(holeArea(b) - (100000 + Math.PI * 10000)) < 1e-6);
+    assert.ok(Math.abs(boardArea(b) - (1 - 0.1 - Math.PI * 0.01)) < 1e-9);
+    assert.equal(boardArea(parseDSL('board[a] 1000 x 500 x 10 "A"').boards[0]), 0.5);
+  });
+
+  it('raw fields keep every hole', () => {
+    const f = parseBoardSourceRaw('board[a] 100 x 100 x 10 "A" hole rect 10,10 20,20 view f hole circle 50,50 5');
+    assert.deepEqual(f.holes, ['rect 10,10 20,20', 'circle 50,50 5']);
+    assert.equal(f.view, 'f');
+    assert.match(reconstructBoardLineRaw(f), /\n  hole rect 10,10 20,20\n  hole circle 50,50 5$/);
+  });
+
+  it('reconstructBoardLine writes holes back', () => {
+    const b = parseDSL('board[a] 100 x 100 x 10 "A" hole circle 50,50 5').boards[0];
+    assert.match(reconstructBoardLine(b), /hole circle 50,50 5/);
+  });
+
+  it('does not take keywords inside variable names', () => {
+    const r = parseDSL(`material mat "M" thickness 12
+$hole = 50
+$shape = 10
+$material = 20
+$grain = 30
+$density = 600
+board[a] 100 x 100 x 12 "A" at $hole+$shape, $material, $grain hole circle $hole,$hole $shape
+  material mat density $density`);
+    assert.deepEqual(r.errors, []);
+    const [a] = r.boards;
+    assert.deepEqual([a.x, a.y, a.z, a.holes[0], a.material, a.density], [60, 20, 30, { type: 'circle', cx: 50, cy: 50, r: 10 }, 'mat', 600]);
+    const f = parseBoardSourceRaw('board[a] 100 x 100 x 12 "A" at $hole, 0, 0 hole circle $hole,$hole 5');
+    assert.deepEqual([f.x, f.holes], ['$hole', ['circle $hole,$hole 5']]);
+  });
+});
+
+describe('shape', () => {
+  const near = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} ≈ ${b}`);
+
+  it('polygon outline replaces the rectangle', () => {
+    const r = parseDSL('board[g] 2500 x 1990 x 15 "Gable" shape 0,0; 2500,0; 2500,1365; 0,1990');
+    assert.deepEqual(r.errors, []);
+    const b = r.boards[0];
+    assert.ok(hasOutline(b));
+    assert.deepEqual(boardShape(b), [[0, 0], [2500, 0], [2500, 1365], [0, 1990]]);
+    near(boardArea(b), 2.5 * (1.365 + 1.99) / 2);
+  });
+
+  it('bounding box defines .w and .h', () => {
+    const p = new DSLParser('board[a] 100 x 100 x 10 "A" shape 50,20; 350,20; 200,220');
+    const r = p.parse();
+    assert.match(r.errors[0], /se liší od obrysu 300 x 200/);
+    assert.equal(p.eval('{a.w}'), 300);
+    assert.equal(p.eval('{a.h}'), 200);
+    assert.deepEqual(r.boards[0].shape, [[0, 0], [300, 0], [150, 200]]);
+  });
+
+  it('rounded corners reduce the area by (4 − π)·r²', () => {
+    const b = parseDSL('board[t] 800 x 600 x 25 "T" shape 0,0; 800,0; 800,600; 0,600; radius 50').boards[0];
+    near(boardArea(b) * 1e6, 480000 - (4 - Math.PI) * 2500, 100);
+    for (const [x, y] of b.shape) assert.ok(x >= 0 && x <= 800 && y >= 0 && y <= 600);
+  });
+
+  it('chamfer on a single corner', () => {
+    const b = parseDSL('board[c] 800 x 600 x 25 "C" shape 0,0; 800,0 chamfer 20; 800,600; 0,600').boards[0];
+    assert.deepEqual(b.shape, [[0, 0], [780, 0], [800, 20], [800, 600], [0, 600]]);
+  });
+
+  it('arc bulges outwards or inwards', () => {
+    const out = parseDSL('board[a] 800 x 700 x 25 "A" shape 0,0; 800,0; 800,300 arc 400; 0,300').boards[0];
+    assert.equal(out.h, 700);
+    near(boardArea(out) * 1e6, 240000 + Math.PI * 400 * 400 / 2, 2000);
+    const inw = parseDSL('board[a] 800 x 600 x 25 "A" shape 0,0; 800,0; 800,600 arc -500; 0,600').boards[0];
+    assert.equal(inw.h, 600);
+    assert.ok(boardArea(inw) < 0.48);
+  });
+
+  it('clockwise point order keeps arcs outward', () => {
+    const cw = shapeOutline([{ x: 0, y: 0 }, { x: 0, y: 300 }, { x: 800, y: 300 }, { x: 800, y: 0, arc: 400 }]);
+    near(Math.min(...cw.map(p => p[1])), -400);
+    assert.ok(polygonArea(cw) < 0);
+  });
+
+  it('reports invalid shapes', () => {
+    assert.match(parseDSL('board[x] 1 x 1 x 1 "X" shape 0,0; 10,0').errors[0], /alespoň 3 body/);
+    assert.match(parseDSL('board[x] 1 x 1 x 1 "X" shape 0,0; 10,0; 5,5 arc 1').errors[0], /Poloměr oblouku/);
+    assert.match(parseDSL('board[x] 10 x 10 x 1 "X" shape 0,0; 10,0; 5,5 cut left 5').errors[0], /nelze kombinovat/);
+    assert.match(parseDSL('board[x] 10 x 10 x 1 "X" shape 0,0,1; 10,0; 5,5').errors[0], /2 hodnoty/);
+  });
+
+  it('checks holes against the outline', () => {
+    const errors = holes => parseDSL(`board[l] 600 x 600 x 18 "L" ${holes} shape 0,0; 600,0; 600,200; 200,200; 200,600; 0,600`).errors;
+    assert.deepEqual(errors('hole rect 50,50 100,100 hole circle 100,400 50 hole rect 200,0 400,200'), []);
+    // In the cut-away corner, across its inner corner, through an edge
+    assert.match(errors('hole rect 300,300 100,100')[0], /Otvor rect 300,300 100,100 přesahuje obrys desky/);
+    assert.match(errors('hole rect 150,150 100,100')[0], /přesahuje obrys/);
+    assert.match(errors('hole circle 190,400 20')[0], /přesahuje obrys/);
+    const corner = parseDSL('board[r] 400 x 400 x 18 "R" shape 0,0; 400,0; 400,400 round 100; 0,400 hole circle 390,390 5');
+    assert.match(corner.errors[0], /přesahuje obrys/);
+  });
+
+  it('raw field round-trips', () => {
+    const f = parseBoardSourceRaw('board[a] 800 x 600 x 25 "A" shape 0,0; 800,0 round 30; 800,600; 0,600 color #ff0000');
+    assert.equal(f.shape, '0,0; 800,0 round 30; 800,600; 0,600');
+    assert.equal(f.color, '#ff0000');
+    assert.match(reconstructBoardLineRaw(f), /\n  shape 0,0; 800,0 round 30; 800,600; 0,600/);
+  });
+});
+
+describe('notch and lap', () => {
+  const box = n => [n.x, n.y, n.z, n.w, n.h, n.d];
+
+  it('notch removes the overlapping volume in local coordinates', () => {
+    const r = parseDSL(`board[leg] 40 x 700 x 40 "Leg" at 0,0,0
+board[shelf] 600 x 18 x 400 "Shelf" at 0,300,0 notch [leg]`);
+    assert.deepEqual(r.errors, []);
+    const shelf = r.boards[1];
+    assert.equal(shelf.notches.length, 1);
+    assert.equal(shelf.notches[0].with, 'leg');
+    assert.deepEqual(box(shelf.notches[0]), [0, 0, 0, 40, 18, 40]);
+    assert.equal(r.boards[0].notches, undefined);
+  });
+
+  it('notch follows the notched board rotation', () => {
+    // The rail runs along Y, its local height points to −X
+    const [post, rail] = parseDSL(`board[post] 40 x 40 x 40 "Post" at -40,100,0
+board[rail] 200 x 40 x 20 "Rail" from 0,0 to 0,200 notch [post]`).boards;
+    assert.deepEqual(box(rail.notches[0]), [100, 0, 0, 40, 40, 20]);
+    assert.deepEqual(overlapBox(rail, post), { x: 100, y: 0, z: 0, w: 40, h: 40, d: 20 });
+  });
+
+  it('lap splits crossing beams across their height', () => {
+    const r = parseDSL(`beam[rail]  40 x 60 from 0,0,0 to 800,0,0
+beam[cross] 40 x 60 from 380,0,-200 to 380,0,200 lap with [rail]`);
+    assert.deepEqual(r.errors, []);
+    const [rail, cross] = r.boards;
+    assert.deepEqual(box(cross.notches[0]), [200, 30, 0, 40, 30, 40]);
+    assert.deepEqual(box(rail.notches[0]), [340, 0, 0, 40, 30, 40]);
+    assert.ok(rail.notches[0].mirror);
+    assert.deepEqual(lapBoxes(cross, rail).map(box), [box(cross.notches[0]), box(rail.notches[0])]);
+  });
+
+  it('ids resolve inside components', () => {
+    const r = parseDSL(`component "frame"() {
+  board[a] 40 x 500 x 40 "A" at 0,0,0
+  board[b] 400 x 40 x 40 "B" at 0,200,0 notch [a]
+}
+use frame() at 1000,0,0 as f1`);
+    assert.deepEqual(r.errors, []);
+    const b = r.boards.find(x => x.id === 'f1.b');
+    assert.equal(b.notches[0].with, 'f1.a');
+    assert.deepEqual(box(b.notches[0]), [0, 0, 0, 40, 40, 40]);
+  });
+
+  it('reports unknown, excluded and distant boards', () => {
+    assert.match(parseDSL('board[a] 10 x 10 x 10 "A" notch [zz]').errors[0], /Neznámé ID \[zz\]/);
+    assert.match(parseDSL('board[a] 10 x 10 x 10 "A" lap [zz]').errors[0], /Neznámé ID/);
+    assert.match(parseDSL('board[a] 10 x 10 x 10 "A" notch zz').errors[0], /vzor: notch \[id\]/);
+    assert.match(parseDSL(`if 0 {
+  board[x] 1 x 1 x 1 "X"
+}
+board[a] 10 x 10 x 10 "A" notch [x]`).errors[0], /vyřazena podmínkou na řádku 1/);
+    const far = parseDSL(`board[x] 10 x 10 x 10 "X" at 0,0,0
+board[a] 10 x 10 x 10 "A" at 100,0,0 notch [x]`);
+    assert.match(far.errors[0], /Řádek 2 \(A\): Deska \[x\] se nepřekrývá/);
+    assert.equal(far.boards[1].notches, undefined);
+  });
+
+  it('notched box faces keep only the outer surface', () => {
+    assert.equal(notchedBoxFaces(10, 10, 10, []).length, 6);
+    const faces = notchedBoxFaces(10, 10, 10, [{ x: 0, y: 5, z: 0, w: 5, h: 5, d: 10 }]);
+    // Counter-clockwise quads: the signed volume of the closed surface equals the solid volume
+    let vol = 0;
+    for (const q of faces) {
+      for (const [a, b, c] of [[q[0], q[1], q[2]], [q[0], q[2], q[3]]])
+        vol += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+    }
+    assert.ok(Math.abs(vol - 750) < 1e-9, `${vol}`);
+  });
+
+  it('operations list notches for the cut list', () => {
+    const [, cross] = parseDSL(`beam[rail] 40 x 60 from 0,0,0 to 800,0,0
+beam[cross] 40 x 60 from 380,0,-200 to 380,0,200 lap with [rail]`).boards;
+    assert.deepEqual(boardOperations(cross), [
+      { type: 'lap', label: 'Přeplátování', with: 'rail', size: [40, 30, 40], at: [200, 30, 0] },
+    ]);
+    assert.deepEqual(boardOperations({ id: 'x' }), []);
+  });
+
+  it('raw fields and reconstruction keep declared notches only', () => {
+    const f = parseBoardSourceRaw('board[s] 600 x 18 x 400 "S" at 0,0,0 notch [leg] lap with [x] color #fff');
+    assert.deepEqual(f.notches, ['notch [leg]', 'lap with [x]']);
+    assert.equal(f.color, '#fff');
+    assert.match(reconstructBoardLineRaw(f), /\n  notch \[leg\]\n  lap with \[x\]$/);
+    const [rail, cross] = parseDSL(`board[rail] 800 x 60 x 40 "R" at 0,0,0
+board[cross] 40 x 60 x 400 "C" at 300,0,-200 lap with [rail]`).boards;
+    assert.match(reconstructBoardLine(cross), /\n  lap with \[rail\]$/);
+    assert.doesNotMatch(reconstructBoardLine(rail), /lap/);
+  });
+});
+
+describe('joints', () => {
+  const CARCASS = `board[lt] 18 x 700 x 400 "Left" at 0,0,0
+board[rt] 18 x 700 x 400 "Right" at 582,0,0
+board[sh] 564 x 18 x 380 "Shelf" at 18,300,0
+board[back] 564 x 700 x 8 "Back" at 18,0,392
+`;
+
+  it('dado extends the cut size on the touching sides', () => {
+    const p = new DSLParser(CARCASS + 'joint dado [sh] into [lt], [rt] depth 8');
+    const r = p.parse();
+    assert.deepEqual(r.errors, []);
+    const sh = r.boards[2];
+    assert.deepEqual(sh.joints.map(j => [j.type, j.into, j.side, j.depth]), [['dado', 'lt', 'left', 8], ['dado', 'rt', 'right', 8]]);
+    assert.deepEqual(cutDims(sh), { w: 580, h: 18, d: 380 });
+    // Visible geometry is unchanged for references
+    assert.equal(sh.w, 564);
+    assert.equal(p.eval('{sh.right}'), 582);
+  });
+
+  it('receiving boards record the pocket as an operation', () => {
+    const [lt, rt] = parseDSL(CARCASS + 'joint groove [back] into [lt], [rt] depth 8').boards;
+    assert.deepEqual(boardOperations(lt), [
+      { type: 'groove', label: 'Drážka', with: 'back', size: [8, 700, 8], at: [10, 0, 392] },
+    ]);
+    assert.deepEqual(boardOperations(rt)[0].at, [0, 0, 392]);
+    assert.doesNotMatch(reconstructBoardLine(lt), /notch/);
+  });
+
+  it('contact side is found in local coordinates', () => {
+    const [lt, , sh, back] = parseDSL(CARCASS).boards;
+    assert.deepEqual(contactSide(sh, lt), { axis: 0, dir: -1, name: 'left' });
+    assert.deepEqual(contactSide(lt, sh), { axis: 0, dir: 1, name: 'right' });
+    assert.equal(contactSide(sh, back), null);
+  });
+
+  it('reports bad joints', () => {
+    const errors = dsl => parseDSL(CARCASS + dsl).errors;
+    assert.match(errors('joint dado [sh] depth 8')[0], /neplatný spoj/);
+    assert.match(errors('joint mortise [sh] into [lt] depth 8')[0], /neznámý spoj 'mortise'/);
+    assert.match(errors('joint dado [sh] into [zz] depth 8')[0], /Řádek 5: Neznámé ID \[zz\]/);
+    assert.match(errors('joint dado [sh] into lt depth 8')[0], /'into' potřebuje ID desek/);
+    assert.match(errors('joint dado [sh] into [lt] depth 0')[0], /kladná/);
+    assert.match(errors('joint dado [sh] into [back] depth 8')[0], /Řádek 5 \(Shelf\): Deska \[back\] se nedotýká/);
+    assert.match(errors('joint groove [back] into [lt] depth 30')[0], /Hloubka 30 přesahuje desku \[lt\] \(18\)/);
+  });
+
+  it('joint statements are not joined to a preceding board', () => {
+    const r = parseDSL(CARCASS.trimEnd() + '\n  joint dado [sh] into [lt] depth 8');
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.boards[2].joints.length, 1);
+  });
+});
+
+describe('edge banding', () => {
+  it('cut size is the finished size less the banding', () => {
+    const r = parseDSL(`board[sh] 564 x 18 x 380 "Shelf" edge front 2 "ABS white" edge left,right 0.5
+board[door] 596 x 716 x 18 "Door" edge all 2 "ABS white"`);
+    assert.deepEqual(r.errors, []);
+    const [sh, door] = r.boards;
+    assert.deepEqual(sh.edges, [
+      { side: 'front', along: 'w', thickness: 2, name: 'ABS white' },
+      { side: 'left', along: 'd', thickness: 0.5, name: 'Hrana' },
+      { side: 'right', along: 'd', thickness: 0.5, name: 'Hrana' },
+    ]);
+    assert.deepEqual(cutDims(sh), { w: 563, h: 18, d: 378 });
+    assert.deepEqual(door.edges.map(e => e.side), ['left', 'right', 'bottom', 'top']);
+    assert.deepEqual(cutDims(door), { w: 592, h: 712, d: 18 });
+  });
+
+  it('material thickness picks the panel face', () => {
+    const b = parseDSL(`material dtd "DTD 18" thickness 18
+board[s] 18 x 18 x 400 "Strip" material dtd edge top 1`).boards[0];
+    assert.deepEqual(b.edges[0], { side: 'top', along: 'd', thickness: 1, name: 'Hrana' });
+  });
+
+  it('banding and joints both change the cut size', () => {
+    const r = parseDSL(`board[lt] 18 x 700 x 400 "Left" at 0,0,0
+board[sh] 564 x 18 x 380 "Shelf" at 18,300,0 edge front 2
+joint dado [sh] into [lt] depth 8`);
+    assert.deepEqual(cutDims(r.boards[1]), { w: 572, h: 18, d: 378 });
+  });
+
+  it('metres per banding type', () => {
+    const { boards } = parseDSL(`board[a] 600 x 700 x 18 "A" edge all 2 "ABS white"
+board[b] 500 x 18 x 300 "B" edge front 2 "ABS white" edge left 0.5 "Melamine"`);
+    assert.deepEqual(edgeBanding(boards), [
+      { name: 'ABS white', thickness: 2, length: 3.1 },
+      { name: 'Melamine', thickness: 0.5, length: 0.3 },
+    ]);
+    assert.deepEqual(edgeBanding([]), []);
+  });
+
+  it('reports invalid edges', () => {
+    const err = dsl => parseDSL(dsl).errors[0];
+    assert.match(err('board[x] 600 x 700 x 18 "X" edge front 2'), /'front' je plocha desky/);
+    assert.match(err('board[x] 600 x 700 x 18 "X" edge middle 2'), /Neznámá hrana 'middle'/);
+    assert.match(err('board[x] 600 x 700 x 18 "X" edge top 2 edge top 1'), /olepena vícekrát/);
+    assert.match(err('board[x] 600 x 700 x 18 "X" edge top 0'), /kladná/);
+    assert.match(err('board[x] 600 x 700 x 18 "X" edge top'), /neplatné olepení/);
+  });
+
+  it('raw fields and reconstruction', () => {
+    const f = parseBoardSourceRaw('board[sh] 564 x 18 x 380 "Shelf" edge front 2 "ABS white" edge left,right 0.5');
+    assert.deepEqual(f.edges, ['front 2 "ABS white"', 'left,right 0.5']);
+    assert.match(reconstructBoardLineRaw(f), /\n  edge front 2 "ABS white"\n  edge left,right 0.5$/);
+    const b = parseDSL('board[sh] 564 x 18 x 380 "Shelf" edge front,left 2 "ABS white"').boards[0];
+    assert.match(reconstructBoardLine(b), /\n  edge front,left 2 "ABS white"/);
+  });
+
+  it('keeps a $edge variable whole', () => {
+    const r = parseDSL('$edge = 5\nboard[a] 100 x 18 x 300 "A" at $edge,0,0 edge front $edge/10');
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual([r.boards[0].x, r.boards[0].edges[0].thickness], [5, 0.5]);
+  });
+});
+
+describe('grain', () => {
+  const DSL = `material oak "Oak" thickness 18 grain h
+board[lt] 18 x 700 x 400 "Side" material oak
+board[sh] 564 x 18 x 380 "Shelf" material oak
+board[sh2] 564 x 18 x 380 "Shelf" material oak grain w
+board[dv] 600 x 700 x 18 "Door" grain w`;
+
+  it('board grain and material default', () => {
+    const r = parseDSL(DSL);
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.materials.oak.grain, 'h');
+    assert.deepEqual(r.boards.map(b => b.grain), ['h', undefined, 'w', 'w']);
+  });
+
+  it('hatching direction per view', () => {
+    const [lt, sh, sh2, dv] = parseDSL(DSL).boards;
+    assert.equal(grainInView(lt, VIEW_AXES.f), 'v');
+    assert.equal(grainInView(lt, PROJ_AXES.front), 'v');
+    assert.equal(grainInView(sh2, VIEW_AXES.t), 'h');
+    assert.equal(grainInView(dv, PROJ_AXES.left), 'h');
+    assert.equal(grainInView(dv, PROJ_AXES.front), null);
+    assert.equal(grainInView(sh, VIEW_AXES.f), null);
+  });
+
+  it('reports invalid grain', () => {
+    assert.match(parseDSL('board[x] 600 x 700 x 18 "X" grain d').errors[0], /'grain d' míří do tloušťky/);
+    assert.match(parseDSL('board[x] 600 x 700 x 18 "X" grain q').errors[0], /Neplatný směr vláken 'q'/);
+    assert.match(parseDSL('material m "M" grain x').errors[0], /materiál m.*Neplatný směr vláken/);
+  });
+
+  it('raw fields and reconstruction', () => {
+    const f = parseBoardSourceRaw('board[a] 600 x 700 x 18 "A" grain h color #fff');
+    assert.equal(f.grain, 'h');
+    assert.match(reconstructBoardLineRaw(f), /\n  grain h/);
+    assert.match(reconstructBoardLine(parseDSL('board[a] 600 x 700 x 18 "A" grain h').boards[0]), /\n  grain h/);
+  });
+});
+
+describe('cut list', () => {
+  it('merges identical parts (Kurník footings)', () => {
+    const r = parseDSL(EXAMPLES.find(e => /Kurník/.test(e.name)).code);
+    const [row] = cutList(r.boards, r.materials);
+    assert.equal(row.name, 'Patka');
+    assert.deepEqual(row.ids, ['f1', 'f2', 'f3', 'f4', 'f5', 'f6']);
+    assert.equal(row.qty, 6);
+    assert.equal(row.group, 'Patky');
+    assert.deepEqual([row.length, row.width, row.thickness], [250, 200, 200]);
+  });
+
+  it('sorts dimensions canonically and keeps grain as length', () => {
+    const r = parseDSL(`material ply "Překližka 18" thickness 18
+board[a] 18 x 700 x 400 "Bok L" material ply
+board[b] 400 x 18 x 700 "Bok P" material ply
+board[c] 700 x 400 x 18 "Dvířka" grain h`);
+    const rows = cutList(r.boards, r.materials);
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[0], {
+      name: 'Bok', ids: ['a', 'b'], group: '', material: 'Překližka 18', length: 700, width: 400, thickness: 18,
+      outline: '', holes: 0, operations: [], edges: [], grain: false, qty: 2,
+    });
+    assert.deepEqual([rows[1].length, rows[1].width, rows[1].thickness, rows[1].grain], [400, 700, 18, true]);
+  });
+
+  it('drops a trailing separator from the shared name', () => {
+    const names = (...n) => cutList(parseDSL(n.map((name, i) => `board[b${i}] 600 x 400 x 18 "${name}"`).join('\n')).boards)[0].name;
+    assert.equal(names('Zadní stěna – levá', 'Zadní stěna – pravá'), 'Zadní stěna');
+    assert.equal(names('Plech T18 - A', 'Plech T18 - B'), 'Plech T18');
+    assert.equal(names('Bok: L', 'Bok: P'), 'Bok');
+    assert.equal(names('– A', '– B'), '– A, – B');
+  });
+
+  it('keeps differing parts apart and flags machining', () => {
+    const r = parseDSL(`board[a] 600 x 400 x 18 "Police" at 0,0,0 edge top 2 "ABS"
+board[b] 600 x 400 x 18 "Police" at 0,0,500
+board[c] 600 x 400 x 18 "Police" at 0,0,1000 hole circle 50,50 10
+board[d] 600 x 400 x 18 "Police" at 0,0,1500 cut left 300
+board[e] 600 x 400 x 18 "Police" at 0,0,2000`);
+    const rows = cutList(r.boards);
+    assert.deepEqual(rows.map(row => row.ids), [['a'], ['b', 'e'], ['c'], ['d']]);
+    assert.deepEqual([rows[0].length, rows[0].width], [600, 398]);
+    assert.deepEqual(rows[0].edges, ['ABS 2 mm: top']);
+    assert.equal(rows[2].holes, 1);
+    assert.equal(rows[3].outline, 'ořez');
+  });
+
+  it('lists operations with their size', () => {
+    const r = parseDSL(`board[p] 40 x 1000 x 40 "Sloupek" at 0,0,0
+board[r] 600 x 40 x 20 "Příčka" at -100,500,0 notch [p]`);
+    assert.deepEqual(cutList(r.boards)[1].operations, ['Zářez 40×40×20']);
+  });
+
+  it('writes CSV with quoting, decimal comma and banding', () => {
+    const rows = [{ name: 'Deska "A"; horní', ids: ['a', 'b'], group: 'G', material: '', length: 596.5, width: 400,
+      thickness: 18, qty: 2, outline: 'tvar', holes: 2, operations: [], edges: ['ABS 0.5 mm: top, left'], grain: true }];
+    const lines = cutListCSV(rows, [{ name: 'ABS', thickness: 0.5, length: 1.993 }]).split('\r\n');
+    assert.equal(lines[0], CUT_LIST_HEADER.join(';'));
+    assert.equal(lines[1], '"Deska ""A""; horní";a, b;G;;596,5;400;18;2;tvar;2;;ABS 0.5 mm: top, left;ano');
+    assert.deepEqual(lines.slice(2), ['', 'Olepování hran;Tloušťka [mm];Délka [m]', 'ABS;0,5;1,993', '']);
+    assert.equal(cutListCSV([]), CUT_LIST_HEADER.join(';') + '\r\n');
+  });
+});
+
+describe('sheet nesting', () => {
+  // Front wall cladding from the Kurník spec, section 5.1
+  const WALL = `board[prah] 12 x 2500 x 250 "Práh" material osb
+board[nad] 12 x 2500 x 375 "Nadpraží" material osb
+repeat $i = 1..4 {
+  board[p{i}] 12 x 625 x 1250 "Panel {i}" material osb
+}`;
+  const nest = (text) => { const r = parseDSL(text); assert.deepEqual(r.errors, []); return nestSheets(r.boards, r.materials); };
+
+  it('reproduces the hand-made layout without kerf', () => {
+    const [plan] = nest('material osb "OSB 12" thickness 12 sheet 625x2500 kerf 0\n' + WALL);
+    assert.equal(plan.sheets.length, 3);
+    assert.equal(plan.waste, 0);
+    assert.deepEqual(plan.sheets.map(s => s.parts.map(p => p.id)), [['nad', 'prah'], ['p1', 'p2'], ['p3', 'p4']]);
+    assert.deepEqual(plan.sheets[0].parts.map(p => [p.x, p.y, p.w, p.h]), [[0, 0, 375, 2500], [375, 0, 250, 2500]]);
+  });
+
+  it('takes the kerf between parts', () => {
+    const [plan] = nest('material osb "OSB 12" thickness 12 sheet 625x2500\n' + WALL);
+    assert.equal(plan.kerf, 3);
+    // 375 + 3 + 250 and 1250 + 3 + 1250 no longer fit one sheet
+    assert.equal(plan.sheets.length, 6);
+    const [row] = nest(`material m "M" thickness 18 sheet 1000x500
+board[a] 300 x 500 x 18 "A" material m
+board[b] 300 x 500 x 18 "B" material m`);
+    assert.deepEqual(row.sheets[0].parts.map(p => [p.x, p.y]), [[0, 0], [303, 0]]);
+  });
+
+  it('keeps the trim margin and reports parts that do not fit', () => {
+    const [plan] = nest('material osb "OSB 12" thickness 12 sheet 625x2500 trim 10\n' + WALL);
+    assert.deepEqual(plan.unplaced.map(u => u.id).sort(), ['nad', 'p1', 'p2', 'p3', 'p4', 'prah']);
+    assert.equal(plan.sheets.length, 0);
+    const [small] = nest('material m "M" thickness 18 sheet 1000x500 trim 10\nboard[a] 400 x 300 x 18 "A" material m');
+    assert.deepEqual([small.sheets[0].parts[0].x, small.sheets[0].parts[0].y], [10, 10]);
+    assert.equal(small.sheets[0].waste, 76);
+  });
+
+  it('keeps grain along the sheet length, turns the other parts', () => {
+    const [plan] = nest(`material v "Dýha" thickness 18 sheet 2800x2070 kerf 0
+board[a] 600 x 2000 x 18 "Dvířka" material v grain h
+board[b] 2000 x 600 x 18 "Police" material v`);
+    const [a, b] = plan.sheets[0].parts;
+    assert.equal(plan.grainAxis, 'w');
+    assert.deepEqual([a.id, a.w, a.h, a.rotated], ['a', 2000, 600, true]);
+    assert.deepEqual([b.id, b.w, b.h], ['b', 2000, 600]);
+  });
+
+  it('nests outlined parts by their bounding box, skips other boards', () => {
+    const [plan] = nest(`material m "M" thickness 18 sheet 2000x1000
+board[t] 600 x 400 x 18 "T" material m cut left 200
+board[x] 600 x 400 x 18 "X"
+beam[b] 18 x 60 from 0,0,0 to 1000,0,0 material m`);
+    const [t] = plan.sheets[0].parts;
+    assert.equal(plan.sheets[0].parts.length, 1);
+    assert.deepEqual([t.w, t.h, t.rotated], [400, 600, true]);
+    assert.deepEqual(t.outline, [[0, 0], [600, 0], [600, 400], [0, 200]]);
+  });
+
+  it('parses kerf and trim on materials', () => {
+    const r = parseDSL('material m "M" sheet 2500x1250 kerf 4 trim 1cm');
+    assert.deepEqual([r.materials.m.kerf, r.materials.m.trim], [4, 10]);
+    assert.match(parseDSL('material m "M" kerf -1').errors[0], /'kerf' nesmí být záporný/);
+    assert.deepEqual([1, 3, 5].map(sheetCount), ['1 tabule', '3 tabule', '5 tabulí']);
+  });
+});
+
+describe('linear stock', () => {
+  const stock = (text, options) => { const r = parseDSL(text); assert.deepEqual(r.errors, []); return cutStock(r.boards, r.materials, options); };
+
+  it('groups beam-like boards and beams by material and profile', () => {
+    const groups = stock(`material osb "OSB" thickness 12 sheet 2500x1250
+material smrk "Smrk" stock 5000
+board[a] 60 x 100 x 2500 "Trám" at 0,0,0
+board[b] 2500 x 100 x 60 "Trám" at 0,0,500
+beam[c] 40 x 60 from 0,0,0 to 0,2000,0 material smrk
+board[d] 2500 x 12 x 625 "Podlaha"
+board[e] 2500 x 12 x 60 "Pásek" material osb
+board[f] 200 x 250 x 200 "Patka"`);
+    assert.deepEqual(groups.map(g => [g.name, g.bars.flatMap(b => b.pieces.map(p => p.id))]),
+      [['60×100', ['a', 'b']], ['Smrk 40×60', ['c']]]);
+  });
+
+  it('packs pieces with kerf and picks the shortest stock per bar', () => {
+    const [g] = stock(`board[a] 60 x 100 x 2500 "A"
+board[b] 60 x 100 x 2500 "B"
+board[c] 60 x 100 x 1755 "C"
+board[d] 60 x 100 x 1000 "D"`, { stock: [3000, 6000] });
+    assert.deepEqual(g.bars.map(b => [b.stock, b.pieces.map(p => p.id), b.offcut]),
+      [[6000, ['a', 'b'], 994], [3000, ['c', 'd'], 239]]);
+    assert.deepEqual(g.buy, [{ length: 3000, qty: 1 }, { length: 6000, qty: 1 }]);
+    assert.equal(g.kerf, 3);
+    assert.equal(g.waste, Math.round((1 - 7755 / 9000) * 1000) / 10);
+  });
+
+  it('adds plumb end cuts to sloped from/to members', () => {
+    const [g] = stock(EXAMPLES.find(e => /vzpěrami/.test(e.name)).code);
+    const br = g.bars[0].pieces.find(p => p.id === 'br');
+    assert.equal(br.angle, 24.5);
+    assert.ok(br.length > 1250 && br.length < 1280);
+    assert.ok(g.bars[0].pieces.filter(p => p.id !== 'br').every(p => p.angle === 0));
+    const [beam] = stock('beam[k] 40 x 60 from 0,0,0 to 1000,1000,0');
+    const [piece] = beam.bars[0].pieces;
+    assert.equal(piece.angle, 45);
+    assert.equal(piece.length, Math.round((Math.SQRT2 * 1000 + 60) * 10) / 10);
+  });
+
+  it('reports pieces longer than the stock, uses material stock and kerf', () => {
+    const [g] = stock(`material smrk "Smrk" stock 3000, 2000 kerf 0
+board[a] 40 x 60 x 4000 "A" material smrk
+board[b] 40 x 60 x 1000 "B" material smrk
+board[c] 40 x 60 x 1000 "C" material smrk`, { stock: [6000] });
+    assert.deepEqual(g.unplaced.map(p => p.id), ['a']);
+    assert.deepEqual(g.bars.map(b => [b.stock, b.offcut]), [[2000, 0]]);
+    assert.match(parseDSL('material m "M" stock 4000, 0').errors[0], /Délky v 'stock' musí být kladné/);
+  });
+});
+
+describe('cost estimate', () => {
+  const DSL = `material osb "OSB 12" thickness 12 sheet 2500x1250 price 450/sheet
+material ply "Překližka" thickness 18 price 600/m2
+material smrk "Smrk" price 60/m
+material beton "Patka" price 120/pc
+group "Patky"
+repeat $i = 1..2 {
+  board[f{i}] 200 x 250 x 200 "Patka" material beton
+  hardware "Kotva" qty 2 price 35/pc
+}
+group "Rám"
+board[t] 60 x 100 x 2500 "Trám" material smrk
+board[o] 12 x 2500 x 1250 "OSB" material osb
+board[p] 1000 x 18 x 500 "Police" material ply
+hardware "Vrut" qty 10*3 price 1.5/pc
+board[x] 10 x 10 x 10 "Bez"`;
+
+  it('parses hardware in the current group', () => {
+    const r = parseDSL(DSL);
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.hardware.map(h => [h.name, h.qty, h.group]), [['Kotva', 2, 'Patky'], ['Kotva', 2, 'Patky'], ['Vrut', 30, 'Rám']]);
+    assert.deepEqual(parseDSL('hardware "Lak"').hardware, [{ name: 'Lak', qty: 1, price: null, group: null }]);
+    assert.match(parseDSL('hardware "Lak" price 5/m2').errors[0], /\(Lak\): Kování má cenu za kus nebo metr/);
+    assert.match(parseDSL('hardware Lak').errors[0], /neplatné kování/);
+  });
+
+  it('prices materials, hardware and groups', () => {
+    const r = parseDSL(DSL);
+    const cost = projectCost(r.boards, r.materials, r.hardware);
+    assert.deepEqual(cost.materials.map(m => [m.id, m.qty, m.cost]),
+      [['beton', 2, 240], ['smrk', 2.5, 150], ['osb', 3.125, 900], ['ply', 0.5, 300]]);
+    assert.equal(cost.materials[2].sheets, 2);
+    assert.deepEqual(cost.hardware.map(h => [h.name, h.qty, h.cost]), [['Kotva', 4, 140], ['Vrut', 30, 45]]);
+    assert.deepEqual(cost.groups, [{ name: 'Patky', cost: 380 }, { name: 'Rám', cost: 1395 }]);
+    assert.equal(cost.total, 1775);
+    assert.deepEqual(cost.unpriced, ['x']);
+  });
+
+  it('rounds sheets from area plus waste, shared between groups by area', () => {
+    const r = parseDSL(`material osb "OSB" thickness 12 sheet 2000x1000 price 500/sheet waste 0
+group "A"
+board[a] 1000 x 1000 x 12 "A" material osb
+group "B"
+board[b] 1000 x 1000 x 12 "B" material osb
+board[c] 1000 x 1000 x 12 "C" material osb`);
+    const cost = projectCost(r.boards, r.materials);
+    assert.equal(cost.materials[0].sheets, 2);
+    assert.deepEqual(cost.groups.map(g => g.cost), [333.33, 666.67]);
+    assert.match(parseDSL('material m "M" price 900/sheet').errors[0], /Cena za tabuli potřebuje rozměr 'sheet'/);
+  });
+
+  it('formats prices and adds them to the CSV', () => {
+    assert.equal(formatPrice(1234567.6), '1\u00a0234\u00a0568\u00a0Kč');
+    const r = parseDSL(DSL);
+    const csv = cutListCSV([], [], projectCost(r.boards, r.materials, r.hardware)).split('\r\n');
+    assert.ok(csv.includes('OSB 12;2;tabule;450;900'));
+    assert.ok(csv.includes('Vrut;30;ks;1,5;45'));
+    assert.ok(csv.includes('Skupina Rám;;;;1395'));
+    assert.equal(csv[csv.length - 2], 'Celkem;;;;1775');
+  });
+});
+
+// ═══════════════════════════════════════════════════════
+//  Mass and stability
+// ═══════════════════════════════════════════════════════
+describe('mass and stability', () => {
+  it('takes density from the board, else from its material', () => {
+    const r = parseDSL(`material m "M" thickness 20 density 600
+board[a] 1000 x 500 x 20 "A" material m
+board[b] 1000 x 500 x 20 "B" material m density 900
+board[c] 1000 x 500 x 20 "C"`);
+    assert.equal(r.boards[1].density, 900);
+    assert.deepEqual(r.boards.map(b => boardMass(b, r.materials)), [6, 9, null]);
+    const mp = massProperties(r.boards, r.materials);
+    assert.equal(mp.total, 15);
+    assert.deepEqual(mp.unknown, ['c']);
+    assert.match(parseDSL('board[a] 100 x 100 x 20 "A" density -5').errors[0], /Hustota musí být kladná/);
+    assert.match(reconstructBoardLine(r.boards[1]), /\n  density 900/);
+  });
+
+  it('measures the true volume: cuts, holes and notches', () => {
+    const trap = parseDSL('board[a] 1000 x 500 x 20 "A" cut left 200 density 1000').boards[0];
+    const solid = boardSolid(trap);
+    assert.equal(solid.volume, 7e6);
+    assert.deepEqual(solid.centroid.map(v => Math.round(v * 10) / 10), [571.4, 185.7, 10]);
+    const r = parseDSL(`board[b] 100 x 100 x 100 "B" at 900,400,-40
+board[a] 1000 x 500 x 20 "A" at 0,0,0 hole rect 0,0 500,500 density 1000 notch [b]`);
+    assert.equal(boardSolid(r.boards[1]).volume, 4.8e6);
+    assert.equal(boardMass(r.boards[1], r.materials), 4.8);
+  });
+
+  it('places the centre of mass in world coordinates', () => {
+    const r = parseDSL(`board[a] 1000 x 20 x 500 "A" at 0,0,0 density 500
+board[b] 20 x 1000 x 500 "B" at 0,20,0 density 500
+board[c] 600 x 20 x 500 "C" at 20,1000,0 density 2000`);
+    const mp = massProperties(r.boards, r.materials);
+    assert.deepEqual(mp.boards, [{ id: 'a', mass: 5 }, { id: 'b', mass: 5 }, { id: 'c', mass: 12 }]);
+    assert.deepEqual(mp.com, [290.5, 671.4, 250]);
+    const st = stabilityCheck(r.boards, mp.com);
+    assert.deepEqual(st.footprint, [[0, 0], [1000, 0], [1000, 500], [0, 500]]);
+    assert.equal(st.margin, 250);
+    assert.equal(st.angle, 20.4);
+    assert.equal(stabilityWarning(st), null);
+  });
+
+  it('warns when the centre of mass is near or outside the footprint', () => {
+    const r = parseDSL(DEFAULT_CODE);
+    const st = stabilityCheck(r.boards, massProperties(r.boards, r.materials).com);
+    assert.equal(st.stable, false);
+    assert.match(stabilityWarning(st), /136\.6 mm od okraje půdorysu, převrhne se už při náklonu 8\.1°/);
+    const top = parseDSL(`board[a] 100 x 20 x 100 "A" at 0,0,0 density 500
+board[c] 1000 x 20 x 100 "C" at 0,500,0 density 500`);
+    const out = stabilityCheck(top.boards, massProperties(top.boards, top.materials).com);
+    assert.ok(out.margin < 0);
+    assert.equal(stabilityWarning(out), 'Těžiště leží mimo půdorys — model se převrhne');
+    assert.equal(stabilityCheck(top.boards, null), null);
+    assert.equal(formatMass(56.16), '56.2 kg');
+  });
+});
+
+// ═══════════════════════════════════════════════════════
+//  Deflection
+// ═══════════════════════════════════════════════════════
+describe('deflection', () => {
+  const POSTS = `material smrk "Smrk" modulus 10000
+board[l] 60 x 1000 x 60 "L" at 0,0,0
+board[r] 60 x 1000 x 60 "R" at 2060,0,0
+`;
+
+  it('takes a $load variable in load and in the position', () => {
+    const r = parseDSL('$load = 30\nboard[a] 100 x 18 x 300 "A"\n  at $load,0,0\n  load $load');
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual([r.boards[0].x, r.boards[0].load], [30, 30]);
+    const f = parseBoardSourceRaw('board[a] 100 x 18 x 300 "A" at $load,0,0 load $load');
+    assert.deepEqual([f.x, f.load], ['$load', '$load']);
+  });
+
+  it('parses load on boards and groups and modulus on materials', () => {
+    const r = parseDSL(`material m "M" modulus 3500
+group "Police" load 20kg
+board[a] 800 x 18 x 300 "A" at 0,0,0 material m
+board[b] 800 x 18 x 300 "B" at 0,0,0 load 300N
+beam[c] 40 x 60 from 0,0,0 to 1000,0,0 load 2*5`);
+    assert.deepEqual(r.errors, []);
+    assert.equal(r.materials.m.modulus, 3500);
+    assert.deepEqual(r.groups, [{ name: 'Police', boards: ['a', 'b', 'c'], load: 20 }]);
+    assert.deepEqual(r.boards.map(b => b.load), [undefined, 30.581, 10]);
+    assert.match(reconstructBoardLine(r.boards[1]), /\n  load 30.581kg/);
+    assert.match(parseDSL('board[a] 100 x 100 x 20 "A" load 0kg').errors[0], /Zatížení musí být kladné/);
+    assert.match(parseDSL('group "G" load -1').errors[0], /skupina G.*Zatížení musí být kladné/);
+    assert.match(parseDSL('material m "M" modulus 0').errors[0], /Modul pružnosti musí být kladný/);
+  });
+
+  it('finds the horizontal members and their supports', () => {
+    const r = parseDSL(DEFAULT_CODE);
+    const byId = id => r.boards.find(b => b.id === id);
+    assert.deepEqual(bendingAxes(byId('p1')), { down: { axis: 1, dir: -1 }, spans: [0, 2], cos: 1 });
+    assert.equal(bendingAxes(byId('lt')), null);
+    const p1 = byId('p1'), down = bendingAxes(p1).down;
+    assert.deepEqual(supportIntervals(p1, r.boards, 0, down), [[0, 0], [800, 800]]);
+    assert.deepEqual(supportIntervals(p1, r.boards, 2, down), [[382, 382]]);
+    // The top overlaps the sides and the back: the side carries it, the back edge only front to back
+    assert.deepEqual(supportIntervals(byId('tp'), r.boards, 0, down), [[0, 18], [818, 818]]);
+    assert.deepEqual(spanCase([[0, 18], [818, 818]], 818), { span: 800, overhang: 0 });
+    assert.deepEqual(spanCase([[100, 200]], 1000), { span: 0, overhang: 800 });
+    assert.equal(spanCase([], 1000), null);
+  });
+
+  it('computes simply supported and cantilever sag against span / 300', () => {
+    const r = parseDSL(DEFAULT_CODE.replace('at {lt.right}, {dn.top}+380, {dn.z}', '$&\n  load 30kg'));
+    const { members, unknown, unsupported } = deflectionCheck(r.boards, r.materials, r.groups);
+    assert.deepEqual(members.map(m => m.id), ['tp', 'p1', 'p2', 'p3']);
+    assert.deepEqual(members[1], { id: 'p1', name: 'Police 1', span: 800, type: 'span', load: 33.6, modulus: 2500,
+      sag: 4.73, limit: 2.67, ok: false });
+    assert.equal(members[2].ok, true);
+    assert.deepEqual([unknown, unsupported], [[], []]);
+    const c = parseDSL(POSTS + 'board[c] 500 x 20 x 60 "C" at 60,500,0 material smrk load 10');
+    assert.deepEqual(deflectionCheck(c.boards, c.materials).members.map(m => [m.type, m.span, m.sag, m.limit, m.ok]),
+      [['cantilever', 500, 3.83, 3.33, false]]);
+  });
+
+  it('checks beams on posts with the group load, sloped ones across their slope', () => {
+    const r = parseDSL(POSTS + `board[l2] 60 x 1600 x 60 "L2" at 2060,0,200
+board[l3] 60 x 1000 x 60 "L3" at 0,0,200
+group "Krov" load 50kg
+beam[b] 40 x 60 from 0,1000,10 to 2120,1000,10 material smrk
+beam[s] 40 x 60 from 0,1000,210 to 2120,1600,210 material smrk
+beam[x] 40 x 60 from 0,2000,0 to 500,2000,0 material smrk
+beam[n] 40 x 60 from 0,3000,0 to 500,3000,0`);
+    const { members, unknown, unsupported } = deflectionCheck(r.boards, r.materials, r.groups);
+    assert.deepEqual(members.map(m => [m.id, m.span, m.load, m.sag]), [['b', 2000, 50, 6.69], ['s', 1652.1, 50, 2.89]]);
+    assert.deepEqual(unsupported, ['x']);
+    assert.deepEqual(unknown, ['n']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════
+//  Interference
+// ═══════════════════════════════════════════════════════
+describe('interference', () => {
+  const pairs = (code, opts) => findCollisions(parseDSL(code).boards, opts).map(c => [c.a, c.b, c.volume, c.depth]);
+
+  it('builds closed board solids', () => {
+    const [b] = parseDSL('board[a] 100 x 200 x 50 "A" at 10,20,30 cut left 200 right 100').boards;
+    const { faces, planes } = boardSolidHull(b);
+    assert.equal(faces.length, 6);
+    assert.equal(Math.round(solidVolume(faces)), 100 * 150 * 50);
+    assert.ok(planes.every(p => Math.abs(Math.hypot(...p.n) - 1) < 1e-9));
+  });
+
+  it('reports overlap volume and depth, touching faces are fine', () => {
+    assert.deepEqual(pairs(`board[a] 100 x 100 x 100 "A" at 0,0,0
+board[b] 100 x 100 x 100 "B" at 80,50,0
+board[c] 100 x 100 x 100 "C" at 0,100,0`), [['a', 'b', 100000, 20], ['b', 'c', 100000, 20]]);
+    const thin = 'board[a] 100 x 100 x 18 "A" at 0,0,0\nboard[b] 100 x 18 x 100 "B" at 0,99.7,0';
+    assert.deepEqual(pairs(thin), []);
+    assert.deepEqual(pairs(thin, { tol: 0 }), [['a', 'b', 540, 0.3]]);
+    assert.equal(CONTACT_TOL, 0.5);
+    // A 1 mm sheet inside a beam is as deep as the sheet is thick
+    assert.deepEqual(pairs('board[a] 100 x 60 x 40 "A" at 0,0,0\nboard[b] 100 x 1 x 40 "B" at 0,30,0'),
+      [['a', 'b', 4000, 1]]);
+  });
+
+  it('handles from/to boards and cut outlines exactly', () => {
+    // The brace only touches the leg face with its end, its corner would reach into the leg
+    const brace = 'board[l] 25 x 725 x 25 "L" at 0,0,0\nboard[br] LEN(25,100,1175,625) x 25 x 25 "Br" ';
+    assert.deepEqual(pairs(brace + 'from 36,100 to 1175,625'), []);
+    const [[a, b, volume]] = pairs(brace + 'from 25,100 to 1175,625');
+    assert.deepEqual([a, b], ['l', 'br']);
+    assert.ok(volume > 3500 && volume < 3600);
+    // The trapezoid is cut away where the box would hit it
+    const box = 'board[s] 50 x 50 x 18 "S" at 200,140,0\n';
+    assert.deepEqual(pairs(box + 'board[t] 300 x 200 x 18 "T" at 0,0,0 cut left 200 right 100'), []);
+    assert.equal(pairs(box + 'board[t] 300 x 200 x 18 "T" at 0,0,0').length, 1);
+  });
+
+  it('skips joined and unplaced boards and lists the overlaps as errors', () => {
+    assert.deepEqual(pairs(`board[a] 600 x 60 x 40 "A" at 0,0,0
+board[b] 40 x 60 x 600 "B" at 200,0,-200 lap with [a]
+board[c] 100 x 100 x 100 "C"
+board[d] 100 x 100 x 100 "D"`), []);
+    const [c] = findCollisions(parseDSL('board[a] 100 x 100 x 100 "A" at 0,0,0\nboard[b] 100 x 100 x 100 "B" at 50,0,0').boards);
+    assert.equal(collisionMessage(c), 'Překrytí [a] × [b]: 500.0 cm³');
+    assert.equal(formatVolume(2.5e6), '2.50 dm³');
+    assert.ok(c.faces.length >= 6);
+  });
+
+  it('reports the overlaps of the examples', () => {
+    const c = findCollisions(parseDSL(DEFAULT_CODE).boards);
+    assert.deepEqual(c.map(x => [x.a, x.b, x.volume]), [['dn', 'lt', 129600], ['dn', 'bk', 259200],
+      ['lt', 'tp', 129600], ['lt', 'bk', 648000], ['tp', 'bk', 265032]]);
+    assert.equal(collisionMessage(c[0]), 'Překrytí [dn] × [lt]: 129.6 cm³');
+    // The brace starts inside the leg
+    assert.deepEqual(pairs(EXAMPLES.find(e => /vzpěrami/.test(e.name)).code), [['ll', 'br', 3566.6, 10.4]]);
+  });
+});
+
+describe('contacts and fasteners', () => {
+  const graph = (code, opts) => {
+    const r = parseDSL(code);
+    return contactGraph(r.boards, r.materials, opts).map(c => [c.a, c.b, c.type, c.length, c.width, c.area]);
+  };
+
+  it('classifies touching faces by the board faces that meet', () => {
+    const g = graph(DEFAULT_CODE);
+    assert.equal(g.length, 11);
+    assert.ok(g.every(c => c[2] === 'edge'));
+    assert.deepEqual(g.find(c => c[0] === 'lt' && c[1] === 'p1'), ['lt', 'p1', 'edge', 382, 18, 6876]);
+    assert.deepEqual(graph(`board[a] 600 x 18 x 300 "A" at 0,0,0
+board[b] 400 x 18 x 300 "B" at 100,18,0
+board[c] 600 x 18 x 300 "C" at 600,0,0`), [['a', 'b', 'face', 400, 300, 120000], ['a', 'c', 'butt', 300, 18, 5400]]);
+    assert.equal(CONTACT_LABELS.edge, 'Hrana na plochu');
+    assert.deepEqual([1, 3, 17].map(jointCount), ['1 spoj', '3 spoje', '17 spojů']);
+  });
+
+  it('takes gaps up to the tolerance, skips corner touches', () => {
+    const gap = 'board[a] 600 x 18 x 300 "A" at 0,0,0\nboard[b] 600 x 18 x 300 "B" at 0,18.4,0';
+    assert.equal(graph(gap).length, 1);
+    assert.equal(contactGraph(parseDSL(gap).boards)[0].gap, 0.4);
+    assert.deepEqual(graph(gap, { tol: 0.2 }), []);
+    // Near misses come in the same pass when asked for, and get no fasteners
+    const near = contactGraph(parseDSL(gap).boards, {}, { tol: 0.2, gap: 5 });
+    assert.deepEqual(near.map(c => [c.type, c.gap, c.near]), [['face', 0.4, true]]);
+    assert.deepEqual(fastenerList(near, [{ types: ['face'], name: 'Vrut', qty: 2 }]).items, []);
+    assert.deepEqual(graph('board[a] 18 x 100 x 300 "A" at 0,0,0\nboard[b] 100 x 18 x 300 "B" at 18,100,0'), []);
+    assert.deepEqual(graph('board[a] 100 x 100 x 100 "A" at 0,0,0\nboard[b] 100 x 100 x 100 "B" at 0,0,0'), []);
+  });
+
+  it('finds edges along sloping faces and machined joints', () => {
+    // A shelf resting between two legs with a 1:3 slope
+    const aframe = `board[la] 632 x 18 x 300 "L" from 0,0 to 200,600
+board[ra] 632 x 18 x 300 "R" from 200,600 to 400,0
+board[sh] 188 x 18 x 300 "S" at 106,300,0`;
+    assert.deepEqual(graph(aframe).filter(c => c.includes('sh')), [['la', 'sh', 'edge', 300, 0, 0], ['ra', 'sh', 'edge', 300, 0, 0]]);
+    assert.deepEqual(graph(`board[a] 600 x 60 x 40 "A" at 0,0,0
+board[b] 40 x 60 x 600 "B" at 200,0,-200 lap with [a]`), [['a', 'b', 'lap', 40, 40, 1600]]);
+    const dado = `board[s] 18 x 600 x 300 "S" at 0,0,0
+board[p] 400 x 18 x 300 "P" at 18,200,0
+joint dado [p] into [s] depth 8`;
+    assert.deepEqual(graph(dado).map(c => c.slice(0, 3)), [['s', 'p', 'dado']]);
+  });
+
+  it('parses fastener rules', () => {
+    const r = parseDSL(`fastener edge, butt "Konfirmát 7×50" every 15cm min 2 price 4/pc
+fastener face "Lepidlo" qty 1
+fastener edge "X"
+fastener corner "Y" qty 2
+fastener edge "Z" qty 2 min 1
+fastener edge "W" every 100 price 4/m`);
+    assert.deepEqual(r.fasteners, [
+      { types: ['edge', 'butt'], name: 'Konfirmát 7×50', every: 150, min: 2, price: { value: 4, unit: 'pc' } },
+      { types: ['face'], name: 'Lepidlo', qty: 1, price: null },
+    ]);
+    assert.equal(r.errors.length, 4);
+    assert.match(r.errors[0], /Řádek 3 \(X\): Chybí rozteč/);
+    assert.match(r.errors[1], /Neznámý typ spoje 'corner'/);
+    assert.match(r.errors[2], /'min' patří k rozteči/);
+    assert.match(r.errors[3], /cenu za kus/);
+  });
+
+  it('counts fasteners per joint and prices them by group', () => {
+    const r = parseDSL(`${DEFAULT_CODE}
+fastener edge "Konfirmát 7×50" every 150 min 2 price 4/pc
+fastener lap "Vrut" qty 2`);
+    const bom = fastenerList(contactGraph(r.boards, r.materials), r.fasteners, r.boards);
+    // 7 joints of about 400 mm with 3 pieces, 3 of 800 mm with 6, the right side along the back with 14;
+    // the boards that overlap do not touch
+    assert.deepEqual(bom.items, [{ name: 'Konfirmát 7×50', qty: 7 * 3 + 3 * 6 + 14, price: { value: 4, unit: 'pc' }, joints: 11 }]);
+    assert.deepEqual(bom.joints.find(j => j.b === 'p1' && j.a === 'lt').items, [{ name: 'Konfirmát 7×50', qty: 3 }]);
+    const cost = projectCost(r.boards, r.materials, bom.hardware);
+    assert.deepEqual(cost.hardware, [{ name: 'Konfirmát 7×50', unit: 'pc', qty: 53, price: 4, cost: 212 }]);
+    const lines = cutListCSV([], [], null, bom.items).split('\r\n');
+    assert.deepEqual(lines.slice(1, 4), ['', 'Spojovací materiál;Počet [ks];Spojů', 'Konfirmát 7×50;53;11']);
+  });
+});
+
+describe('support', () => {
+  const check = (code, opts) => {
+    const r = parseDSL(code);
+    return supportCheck(r.boards, contactGraph(r.boards, r.materials, { gap: NEAR_MISS, ...opts }), findCollisions(r.boards, opts));
+  };
+  const cabinet = `board[lt] 18 x 600 x 300 "L" at 0,0,0
+board[rt] 18 x 600 x 300 "R" at 418,0,0
+board[p] 400 x 18 x 300 "P" at 18,300,0`;
+
+  it('walks from the lowest boards through the contacts', () => {
+    const s = check(cabinet);
+    assert.deepEqual(s.grounded, ['lt', 'rt']);
+    assert.deepEqual([s.floor, s.floating, s.nearMisses], [0, [], []]);
+    // Footings below the floor carry the frame, a shelf resting on a floating board floats too
+    const s2 = check(`board[f] 100 x 200 x 100 "F" at 0,-200,0
+board[a] 600 x 60 x 40 "A" at 0,0,0
+board[b] 400 x 18 x 300 "B" at 0,500,0
+board[c] 100 x 18 x 100 "C" at 0,518,0
+board[u] 100 x 18 x 100 "U"`);
+    assert.deepEqual([s2.floor, s2.grounded], [-200, ['f']]);
+    assert.deepEqual(s2.floating, [{ id: 'b', near: null }, { id: 'c', near: null }]);
+  });
+
+  it('reports near misses with the gap', () => {
+    // The shelf is 2 mm short of the right side: supported, but a near miss
+    const short = check(cabinet.replace('400 x 18', '398 x 18'));
+    assert.deepEqual([short.floating, short.nearMisses], [[], [{ a: 'rt', b: 'p', gap: 2 }]]);
+    // Hanging 2 mm off both sides
+    const s = check(cabinet.replace('400 x 18 x 300 "P" at 18', '396 x 18 x 300 "P" at 20'));
+    assert.deepEqual(s.floating, [{ id: 'p', near: { id: 'lt', gap: 2 } }]);
+    assert.deepEqual(s.nearMisses, []);
+    assert.equal(floatingMessage(s.floating[0]), 'Bez podpory [p] (mezera 2 mm k [lt])');
+    const narrow = cabinet.replace('400 x 18 x 300 "P" at 18', '380 x 18 x 300 "P" at 25');
+    assert.deepEqual(check(narrow, { gap: 10 }).floating[0].near, { id: 'lt', gap: 7 });
+    assert.equal(check(narrow).floating[0].near, null);
+    assert.equal(NEAR_MISS, 5);
+  });
+
+  it('lets overlapping boards carry each other', () => {
+    // The shelf cuts 7 mm into the right side: no face contact there, but it overlaps
+    const s = check(cabinet.replace('"P" at 18', '"P" at 25'));
+    assert.deepEqual([s.floating, s.nearMisses], [[], []]);
+    const r = parseDSL(cabinet.replace('"P" at 18', '"P" at 25'));
+    assert.deepEqual(supportCheck(r.boards, contactGraph(r.boards, r.materials)).floating, [{ id: 'p', near: null }]);
+  });
+
+  it('finds every board of the examples supported', () => {
+    for (const ex of [{ name: 'default', code: DEFAULT_CODE }, ...EXAMPLES]) assert.deepEqual(check(ex.code).floating, [], ex.name);
+  });
+});